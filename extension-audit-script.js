@@ -16,7 +16,7 @@
  * 
  * The script generates a detailed HTML report that includes:
  * - Overview of all extension types at account level
- * - Campaign-specific extension implementation
+ * - Campaign-specific extension implementation, including ad group level assets
  * - Best practices and recommendations
  * - Detailed requirements for each extension type
  * - Status indicators and improvement suggestions
@@ -34,15 +34,196 @@ var CONFIG = {
         ENABLED: true,
         RECIPIENT: "YOUR_EMAIL_HERE",
         SUBJECT_PREFIX: "Extension Audit Report"
+    },
+    // 'REPORT' sends the full audit report. 'ALERT' compares with the previous alert
+    // run and only emails when something regressed; schedule it between reports.
+    // 'SELF_TEST' runs the built-in checks against stub inputs and only logs.
+    RUN_MODE: 'REPORT',
+    // Only used when the script runs in a manager (MCC) account
+    MCC: {
+        // Customer IDs ('123-456-7890') and account label names; when both are set an account must match both.
+        // Both empty audits every child account (max 50)
+        ACCOUNT_IDS: [],
+        ACCOUNT_LABELS: [],
+        // Send each account its own report in addition to the rollup
+        PER_ACCOUNT_EMAILS: false,
+        ROLLUP_EMAIL: true,
+        // Action items listed per account in the rollup
+        TOP_ACTIONS: 3
+    },
+    // Which campaigns to audit. Cost and impressions are measured over DATE_RANGE.
+    CAMPAIGN_FILTERS: {
+        INCLUDE_PAUSED: false,
+        // Skip campaigns whose end date has passed
+        EXCLUDE_ENDED: true,
+        // Campaign label names; empty means no label filter
+        INCLUDE_LABELS: [],
+        EXCLUDE_LABELS: [],
+        // Case-insensitive regular expressions on the campaign name; empty means no filter
+        INCLUDE_NAME_PATTERN: '',
+        EXCLUDE_NAME_PATTERN: '',
+        MIN_COST: 0,
+        MIN_IMPRESSIONS: 0
+    },
+    // Extension health score (0–100). Each type scores its components, weighted by
+    // COMPONENT_WEIGHTS; the campaign score weights the types it can use by
+    // TYPE_WEIGHTS. The account score weights campaigns by cost over DATE_RANGE.
+    HEALTH_SCORE: {
+        TYPE_WEIGHTS: {
+            sitelinks: 30,
+            callouts: 20,
+            snippets: 15,
+            calls: 10,
+            locations: 10,
+            promotions: 5,
+            images: 10,
+            prices: 5,
+            leadForms: 0,
+            businessNames: 0,
+            businessLogos: 0,
+            mobileApps: 0,
+            hotelCallouts: 5
+        },
+        COMPONENT_WEIGHTS: {
+            // Eligible assets vs the campaign threshold
+            coverage: 60,
+            // Share of assets without text length, snippet, duplicate, landing page or schedule findings
+            quality: 20,
+            // Share of assets not held back by disapproval or limited approval
+            policy: 20,
+            // Share of assets not flagged as underperforming; 0 leaves performance out
+            performance: 0
+        }
+    },
+    // Action items are ranked by priority weight × cost of the campaigns they affect
+    ACTION_PLAN: {
+        // Items shown in the action plan; the rest are listed in a table below it
+        TOP_N: 15,
+        PRIORITY_WEIGHTS: { HIGH: 3, MEDIUM: 2, LOW: 1 },
+        // Account-wide items (no specific campaigns) count this share of the account's
+        // cost, so they don't outrank every campaign item by adding up all spend
+        ACCOUNT_WIDE_WEIGHT: 0.25
+    },
+    // Minimum number of eligible assets per extension type and level. Every status
+    // tick, warning and action item in the report is measured against these.
+    THRESHOLDS: {
+        DEFAULT: {
+            sitelinks: { account: 8, campaign: 2, adGroup: 2 },
+            callouts: { account: 10, campaign: 4, adGroup: 4 },
+            snippets: { account: 4, campaign: 2, adGroup: 2 },
+            calls: { account: 1, campaign: 1, adGroup: 1 },
+            locations: { account: 1, campaign: 1, adGroup: 1 },
+            promotions: { account: 1, campaign: 1, adGroup: 1 },
+            images: { account: 4, campaign: 4, adGroup: 4 },
+            // 0 marks a type as optional: only its content is checked. Price assets
+            // only suit advertisers with fixed prices for their products or services
+            prices: { account: 0, campaign: 0, adGroup: 0 },
+            leadForms: { account: 0, campaign: 0, adGroup: 0 },
+            businessNames: { account: 1, campaign: 0, adGroup: 0 },
+            businessLogos: { account: 1, campaign: 0, adGroup: 0 },
+            mobileApps: { account: 0, campaign: 0, adGroup: 0 },
+            hotelCallouts: { account: 0, campaign: 1, adGroup: 0 }
+        },
+        // Overrides per campaign type (advertising_channel_type), e.g.
+        // PERFORMANCE_MAX: { sitelinks: { campaign: 4 } }
+        CAMPAIGN_TYPE_OVERRIDES: {}
+    },
+    // Lookback window for performance metrics (any GAQL DURING date range)
+    DATE_RANGE: 'LAST_30_DAYS',
+    // Underperforming asset detection
+    PERFORMANCE: {
+        // Assets below this share of their type's average CTR at the same level are flagged
+        LOW_CTR_RATIO: 0.5,
+        // Minimum impressions before an asset's CTR is judged
+        MIN_IMPRESSIONS: 100
+    },
+    // Asset start/end date checks
+    SCHEDULING: {
+        // Warn about assets ending within this many days
+        EXPIRY_WARNING_DAYS: 14
+    },
+    // Text length checks (double-width characters count as 2)
+    TEXT_LIMITS: {
+        // Flag texts within this many characters of the limit as at risk of truncation
+        NEAR_LIMIT_MARGIN: 2
+    },
+    // Structured snippet checks
+    SNIPPETS: {
+        // Language of the predefined headers (see STRUCTURED_SNIPPET localizedHeaders)
+        LANGUAGE: 'en',
+        MIN_VALUES: 3,
+        RECOMMENDED_VALUES: 4
+    },
+    // Landing page health check for sitelink and promotion final URLs
+    LINK_CHECK: {
+        ENABLED: true,
+        MAX_REDIRECTS: 5,
+        // Stop checking after this many unique URLs to stay within the UrlFetchApp quota
+        MAX_URLS: 250,
+        // Page content that indicates an error page served with HTTP 200
+        SOFT_404_PATTERNS: [
+            /<title>[^<]*(404|not found)[^<]*<\/title>/i,
+            /page (was )?not found/i,
+            /pagina niet gevonden/i,
+            /seite nicht gefunden/i,
+            /page introuvable/i
+        ]
+    },
+    // Google Sheets export of the full audit
+    SHEETS: {
+        ENABLED: false,
+        // Existing spreadsheet to overwrite; empty creates one on the first run and
+        // remembers its URL in Google Drive for the next runs
+        SPREADSHEET_URL: '',
+        NAME: 'Extension Audit'
+    },
+    // Stop auditing before Ads Scripts' execution limit, send a partial report and
+    // continue from a checkpoint (a JSON file in Google Drive) on the next run
+    TIME_BUDGET: {
+        ENABLED: true,
+        // Time kept back for the remaining checks, the checkpoint and the email
+        RESERVE_SECONDS: 180,
+        // A checkpoint older than this is dropped and the audit starts over, so a
+        // resumed run doesn't mix in the previous run's data; keep it below the
+        // interval between scheduled audits
+        CHECKPOINT_MAX_AGE_DAYS: 1
+    },
+    // Snapshot of each run kept as a JSON file in Google Drive, one per account,
+    // for the "Changes since last run" section
+    HISTORY: {
+        ENABLED: false,
+        FILE_PREFIX: 'Extension Audit Snapshot'
     }
 };
 
-// Array for all extension types with recommended quantities and specific requirements
+// Array for all extension types with their content fields and specific requirements
 var extensionTypes = [
     { 
         type: 'SITELINK', 
         key: 'sitelinks', 
-        recommended: 8,
+        hierarchyMode: 'mostSpecific',
+        label: 'Sitelinks',
+        // GAQL fields holding the asset content, stored on results.assets
+        // Maximum display width per text field, measured with East Asian width rules
+        characterLimits: { linkText: 25, description1: 35, description2: 35 },
+        assetFields: [
+            { name: 'linkText', field: 'asset.sitelink_asset.link_text' },
+            { name: 'description1', field: 'asset.sitelink_asset.description1' },
+            { name: 'description2', field: 'asset.sitelink_asset.description2' },
+            { name: 'finalUrls', field: 'asset.final_urls', list: true },
+            { name: 'startDate', field: 'asset.sitelink_asset.start_date' },
+            { name: 'endDate', field: 'asset.sitelink_asset.end_date' },
+            { name: 'adScheduleTargets', field: 'asset.sitelink_asset.ad_schedule_targets', list: true }
+        ],
+        // Legacy feed-based equivalent (extension_feed_item), named like the asset fields
+        feedFields: [
+            { name: 'linkText', field: 'extension_feed_item.sitelink_feed_item.link_text' },
+            { name: 'description1', field: 'extension_feed_item.sitelink_feed_item.line1' },
+            { name: 'description2', field: 'extension_feed_item.sitelink_feed_item.line2' },
+            { name: 'finalUrls', field: 'extension_feed_item.sitelink_feed_item.final_urls', list: true }
+        ],
+        // Placeholder fields of the same content in older feeds (feed_item)
+        feedItemFields: { TEXT: 'linkText', LINE_1: 'description1', LINE_2: 'description2', FINAL_URLS: 'finalUrls' },
         requirements: {
             display: {
                 desktop: {
@@ -118,7 +299,19 @@ var extensionTypes = [
     { 
         type: 'CALLOUT', 
         key: 'callouts', 
-        recommended: 10,
+        hierarchyMode: 'mostSpecific',
+        label: 'Callouts',
+        characterLimits: { text: 25 },
+        assetFields: [
+            { name: 'text', field: 'asset.callout_asset.callout_text' },
+            { name: 'startDate', field: 'asset.callout_asset.start_date' },
+            { name: 'endDate', field: 'asset.callout_asset.end_date' },
+            { name: 'adScheduleTargets', field: 'asset.callout_asset.ad_schedule_targets', list: true }
+        ],
+        feedFields: [
+            { name: 'text', field: 'extension_feed_item.callout_feed_item.callout_text' }
+        ],
+        feedItemFields: { CALLOUT_TEXT: 'text' },
         requirements: {
             characterLimit: 25,
             display: {
@@ -141,7 +334,18 @@ var extensionTypes = [
     { 
         type: 'STRUCTURED_SNIPPET', 
         key: 'snippets', 
-        recommended: 4,
+        hierarchyMode: 'combined',
+        label: 'Snippets',
+        characterLimits: { values: 25 },
+        assetFields: [
+            { name: 'header', field: 'asset.structured_snippet_asset.header' },
+            { name: 'values', field: 'asset.structured_snippet_asset.values', list: true }
+        ],
+        feedFields: [
+            { name: 'header', field: 'extension_feed_item.structured_snippet_feed_item.header' },
+            { name: 'values', field: 'extension_feed_item.structured_snippet_feed_item.values', list: true }
+        ],
+        feedItemFields: { HEADER: 'header', SNIPPETS: 'values' },
         requirements: {
             display: {
                 desktop: "Up to 2 headers at a time",
@@ -162,9 +366,27 @@ var extensionTypes = [
                 "Styles",
                 "Types"
             ],
+            // Predefined headers per account language, as listed in the Google Ads header reference
+            localizedHeaders: {
+                nl: [
+                    "Voorzieningen",
+                    "Merken",
+                    "Cursussen",
+                    "Opleidingen",
+                    "Bestemmingen",
+                    "Aanbevolen hotels",
+                    "Verzekeringsdekking",
+                    "Modellen",
+                    "Buurten",
+                    "Servicecatalogus",
+                    "Shows",
+                    "Stijlen",
+                    "Typen"
+                ]
+            },
             bestPractices: [
                 "Create snippets at account level first for optimal coverage",
-                "Include at least 4 values per header",
+                `Include at least ${CONFIG.SNIPPETS.RECOMMENDED_VALUES} values per header`,
                 "Add multiple header-value sets to increase relevancy chances",
                 "Ensure headers and values match to avoid disapproval",
                 "Keep dynamic structured snippets enabled for better performance"
@@ -181,7 +403,18 @@ var extensionTypes = [
     { 
         type: 'CALL', 
         key: 'calls', 
-        recommended: 1,
+        hierarchyMode: 'mostSpecific',
+        label: 'Calls',
+        assetFields: [
+            { name: 'phoneNumber', field: 'asset.call_asset.phone_number' },
+            { name: 'countryCode', field: 'asset.call_asset.country_code' },
+            { name: 'adScheduleTargets', field: 'asset.call_asset.ad_schedule_targets', list: true }
+        ],
+        feedFields: [
+            { name: 'phoneNumber', field: 'extension_feed_item.call_feed_item.phone_number' },
+            { name: 'countryCode', field: 'extension_feed_item.call_feed_item.country_code' }
+        ],
+        feedItemFields: { PHONE_NUMBER: 'phoneNumber', COUNTRY_CODE: 'countryCode' },
         requirements: {
             display: {
                 mobile: "Clickable call button under responsive search ad",
@@ -211,7 +444,9 @@ var extensionTypes = [
     { 
         type: 'LOCATION', 
         key: 'locations', 
-        recommended: 1,
+        hierarchyMode: 'mostSpecific',
+        label: 'Locations',
+        assetFields: [],
         requirements: {
             types: {
                 direct: {
@@ -282,7 +517,30 @@ var extensionTypes = [
     { 
         type: 'PROMOTION', 
         key: 'promotions', 
-        recommended: 1,
+        hierarchyMode: 'mostSpecific',
+        label: 'Promotions',
+        assetFields: [
+            { name: 'promotionTarget', field: 'asset.promotion_asset.promotion_target' },
+            { name: 'percentOff', field: 'asset.promotion_asset.percent_off' },
+            { name: 'moneyAmountOff', field: 'asset.promotion_asset.money_amount_off.amount_micros' },
+            { name: 'currencyCode', field: 'asset.promotion_asset.money_amount_off.currency_code' },
+            { name: 'promotionCode', field: 'asset.promotion_asset.promotion_code' },
+            { name: 'occasion', field: 'asset.promotion_asset.occasion' },
+            { name: 'finalUrls', field: 'asset.final_urls', list: true },
+            { name: 'startDate', field: 'asset.promotion_asset.start_date' },
+            { name: 'endDate', field: 'asset.promotion_asset.end_date' },
+            { name: 'adScheduleTargets', field: 'asset.promotion_asset.ad_schedule_targets', list: true }
+        ],
+        feedFields: [
+            { name: 'promotionTarget', field: 'extension_feed_item.promotion_feed_item.promotion_target' },
+            { name: 'percentOff', field: 'extension_feed_item.promotion_feed_item.percent_off' },
+            { name: 'moneyAmountOff', field: 'extension_feed_item.promotion_feed_item.money_amount_off.amount_micros' },
+            { name: 'currencyCode', field: 'extension_feed_item.promotion_feed_item.money_amount_off.currency_code' },
+            { name: 'promotionCode', field: 'extension_feed_item.promotion_feed_item.promotion_code' },
+            { name: 'occasion', field: 'extension_feed_item.promotion_feed_item.occasion' },
+            { name: 'finalUrls', field: 'extension_feed_item.promotion_feed_item.final_urls', list: true }
+        ],
+        feedItemFields: { PROMOTION_TARGET: 'promotionTarget', PROMOTION_CODE: 'promotionCode', OCCASION: 'occasion', FINAL_URLS: 'finalUrls' },
         requirements: {
             display: {
                 desktop: "Shows below your ad text",
@@ -312,7 +570,15 @@ var extensionTypes = [
     { 
         type: 'IMAGE', 
         key: 'images', 
-        recommended: 4,
+        hierarchyMode: 'mostSpecific',
+        label: 'Images',
+        // Image assets also serve as business logos; only ad images are image extensions
+        fieldType: 'AD_IMAGE',
+        assetFields: [
+            { name: 'width', field: 'asset.image_asset.full_size.width_pixels' },
+            { name: 'height', field: 'asset.image_asset.full_size.height_pixels' },
+            { name: 'fileSize', field: 'asset.image_asset.file_size' }
+        ],
         campaignLevelOnly: true,
         requirements: {
             accountEligibility: [
@@ -374,23 +640,295 @@ var extensionTypes = [
                 "Must be relevant to keywords and landing page"
             ]
         }
+    },
+    {
+        type: 'PRICE',
+        key: 'prices',
+        hierarchyMode: 'mostSpecific',
+        label: 'Prices',
+        assetFields: [
+            { name: 'priceType', field: 'asset.price_asset.type' },
+            { name: 'priceQualifier', field: 'asset.price_asset.price_qualifier' },
+            { name: 'languageCode', field: 'asset.price_asset.language_code' },
+            { name: 'priceOfferings', field: 'asset.price_asset.price_offerings', list: true, parseItem: parsePriceOffering }
+        ],
+        requirements: {
+            minimumItems: 3,
+            maximumItems: 8,
+            display: {
+                desktop: "Shows as a carousel of price cards below the ad",
+                mobile: "Shows as a swipeable carousel of price cards"
+            },
+            features: [
+                "Between 3 and 8 items per asset, each with a header, description, price and final URL",
+                "Price qualifiers: From, Up to or Average",
+                "Price units such as per hour, per night or per month",
+                "Types include brands, events, locations, products, services and tiers"
+            ],
+            bestPractices: [
+                "Add all 8 items so the carousel has room to scroll",
+                "Use the account currency for every item",
+                "Link each item to the page where that product or service is sold",
+                "Keep headers and descriptions specific, not repeated from the ad"
+            ],
+            restrictions: [
+                "Headers and descriptions are limited to 25 characters",
+                "All items in an asset must use the same currency",
+                "Prices must match the landing page",
+                "Cannot be used for products that need a prescription or similar restricted categories"
+            ]
+        }
+    },
+    {
+        type: 'LEAD_FORM',
+        key: 'leadForms',
+        hierarchyMode: 'mostSpecific',
+        label: 'Lead Forms',
+        assetFields: [
+            { name: 'businessName', field: 'asset.lead_form_asset.business_name' },
+            { name: 'headline', field: 'asset.lead_form_asset.headline' },
+            { name: 'privacyPolicyUrl', field: 'asset.lead_form_asset.privacy_policy_url' },
+            { name: 'fields', field: 'asset.lead_form_asset.fields', list: true },
+            { name: 'customQuestionFields', field: 'asset.lead_form_asset.custom_question_fields', list: true }
+        ],
+        characterLimits: { businessName: 25, headline: 30 },
+        campaignLevelOnly: true,
+        requirements: {
+            display: {
+                desktop: "Shows a call to action that opens the form",
+                mobile: "Opens the form inside the ad without loading a landing page"
+            },
+            features: [
+                "Collects name, email, phone number, postal code and other contact details",
+                "Custom questions with answer options per industry",
+                "Leads can be downloaded or sent to a CRM through a webhook"
+            ],
+            bestPractices: [
+                "Ask only for the details you really need; every question lowers completion",
+                "Qualify leads with one or two custom questions",
+                "Connect a webhook or CRM so leads are followed up quickly",
+                "Write a headline that states what the user gets after submitting"
+            ],
+            restrictions: [
+                "Requires a privacy policy URL",
+                "Needs at least one question",
+                "Account must have a good policy compliance history",
+                "Not available in sensitive verticals"
+            ]
+        }
+    },
+    {
+        type: 'BUSINESS_NAME',
+        key: 'businessNames',
+        hierarchyMode: 'mostSpecific',
+        label: 'Business Name',
+        assetType: 'TEXT',
+        fieldType: 'BUSINESS_NAME',
+        assetFields: [
+            { name: 'text', field: 'asset.text_asset.text' }
+        ],
+        characterLimits: { text: 25 },
+        requirements: {
+            display: {
+                desktop: "Shows next to the business logo at the top of the ad",
+                mobile: "Shows next to the business logo at the top of the ad"
+            },
+            features: [
+                "Puts your brand next to every ad, together with the business logo",
+                "Set once at account level for all Search campaigns"
+            ],
+            bestPractices: [
+                "Use the name customers know you by",
+                "Keep the spelling identical to the name on your website"
+            ],
+            restrictions: [
+                "Limited to 25 characters",
+                "Must be the name of the advertiser, not a product or a slogan",
+                "Needs advertiser verification before it serves"
+            ]
+        }
+    },
+    {
+        type: 'BUSINESS_LOGO',
+        key: 'businessLogos',
+        hierarchyMode: 'mostSpecific',
+        label: 'Business Logo',
+        assetType: 'IMAGE',
+        fieldType: 'BUSINESS_LOGO',
+        assetFields: [
+            { name: 'width', field: 'asset.image_asset.full_size.width_pixels' },
+            { name: 'height', field: 'asset.image_asset.full_size.height_pixels' },
+            { name: 'fileSize', field: 'asset.image_asset.file_size' }
+        ],
+        requirements: {
+            minimumSize: 128,
+            recommendedSize: 1200,
+            display: {
+                desktop: "Shows next to the business name at the top of the ad",
+                mobile: "Shows next to the business name at the top of the ad"
+            },
+            features: [
+                "Shows your brand next to every ad, together with the business name",
+                "Set once at account level for all Search campaigns"
+            ],
+            bestPractices: [
+                "Upload a square (1:1) logo of at least 1200×1200 pixels",
+                "Use a logo that stays readable at small sizes",
+                "Use a transparent or white background"
+            ],
+            restrictions: [
+                "Square (1:1) and at least 128×128 pixels",
+                "Maximum file size of 5120 KB",
+                "Must be your own logo",
+                "Needs advertiser verification before it serves"
+            ]
+        }
+    },
+    {
+        type: 'MOBILE_APP',
+        key: 'mobileApps',
+        hierarchyMode: 'mostSpecific',
+        label: 'Apps',
+        assetFields: [
+            { name: 'linkText', field: 'asset.mobile_app_asset.link_text' },
+            { name: 'appId', field: 'asset.mobile_app_asset.app_id' },
+            { name: 'appStore', field: 'asset.mobile_app_asset.app_store' },
+            { name: 'startDate', field: 'asset.mobile_app_asset.start_date' },
+            { name: 'endDate', field: 'asset.mobile_app_asset.end_date' }
+        ],
+        characterLimits: { linkText: 25 },
+        requirements: {
+            display: {
+                desktop: "Doesn't show on desktop",
+                mobile: "Shows a link to the app store below the ad"
+            },
+            features: [
+                "Links to your app in the Apple App Store or Google Play",
+                "Only shows on devices that can install the app"
+            ],
+            bestPractices: [
+                "Use link text that says what the app does, not just \"Download\"",
+                "Add an app asset to every Search campaign for a product that has an app"
+            ],
+            restrictions: [
+                "Link text is limited to 25 characters",
+                "The app must be live in the store"
+            ]
+        }
+    },
+    {
+        type: 'HOTEL_CALLOUT',
+        key: 'hotelCallouts',
+        hierarchyMode: 'combined',
+        label: 'Hotel Callouts',
+        assetFields: [
+            { name: 'text', field: 'asset.hotel_callout_asset.text' },
+            { name: 'languageCode', field: 'asset.hotel_callout_asset.language_code' }
+        ],
+        characterLimits: { text: 25 },
+        requirements: {
+            display: {
+                desktop: "Shows below the hotel ad on Google Maps and Search",
+                mobile: "Shows below the hotel ad on Google Maps and Search"
+            },
+            features: [
+                "Highlights amenities and booking benefits of your hotels",
+                "Only serve in hotel and travel campaigns"
+            ],
+            bestPractices: [
+                "Add callouts for booking benefits like free cancellation or breakfast included",
+                "Set the language code to the language of the text"
+            ],
+            restrictions: [
+                "Limited to 25 characters",
+                "Must describe benefits that apply to every hotel in the campaign"
+            ]
+        }
     }
 ];
 
+
+// Campaign profiles per advertising channel type: which extension types apply.
+// Expected counts come from CONFIG.THRESHOLDS and its campaign type overrides.
+var campaignProfiles = {
+    SEARCH: {
+        label: 'Search',
+        eligibleTypes: ['sitelinks', 'callouts', 'snippets', 'calls', 'locations', 'promotions', 'images', 'prices', 'leadForms', 'mobileApps']
+    },
+    PERFORMANCE_MAX: {
+        label: 'Performance Max',
+        // Images are managed in asset groups rather than as extensions
+        eligibleTypes: ['sitelinks', 'callouts', 'snippets', 'calls', 'locations', 'promotions', 'prices', 'leadForms']
+    },
+    VIDEO: {
+        label: 'Video',
+        eligibleTypes: ['sitelinks', 'locations', 'leadForms']
+    },
+    DISPLAY: {
+        label: 'Display',
+        eligibleTypes: ['locations']
+    },
+    DEMAND_GEN: {
+        label: 'Demand Gen',
+        eligibleTypes: ['sitelinks', 'locations', 'leadForms']
+    },
+    SHOPPING: {
+        label: 'Shopping',
+        // Shopping ads take their extras from Merchant Center, not from assets
+        eligibleTypes: []
+    },
+    HOTEL: {
+        label: 'Hotel',
+        eligibleTypes: ['hotelCallouts']
+    },
+    TRAVEL: {
+        label: 'Travel',
+        eligibleTypes: ['hotelCallouts']
+    },
+    // Unsupported types are listed in the report but not audited: their ads don't
+    // take these assets the way Search does, so judging them as Search misleads
+    MULTI_CHANNEL: {
+        label: 'App',
+        unsupported: true,
+        eligibleTypes: []
+    },
+    SMART: {
+        label: 'Smart',
+        unsupported: true,
+        eligibleTypes: []
+    },
+    LOCAL: {
+        label: 'Local',
+        unsupported: true,
+        eligibleTypes: []
+    }
+};
+
+// Report queries run so far, logged to measure collection cost
+var reportQueryCount = 0;
+
+function runReport(query) {
+    reportQueryCount++;
+    return AdsApp.report(query);
+}
+
 function main() {
+    if (CONFIG.RUN_MODE === 'SELF_TEST') {
+        runSelfTests();
+        return;
+    }
+
     Logger.log('🚀 Starting extension audit...');
     var startTime = new Date();
     
     try {
-        Logger.log('🔗 Auditing extensions...');
-        var extensionResults = auditExtensions();
-        Logger.log(`Extension opportunities: ${extensionResults.opportunities.length}`);
-        
-        Logger.log('📧 Generating and sending email report...');
-        var emailBody = generateExtensionReport(extensionResults, extensionTypes);
-        
-        if (CONFIG.EMAIL.ENABLED) {
-            sendEmail(emailBody);
+        if (isManagerAccount()) {
+            Logger.log('🏢 Manager account detected, auditing child accounts...');
+            runManagerAudit();
+        } else if (CONFIG.RUN_MODE === 'ALERT') {
+            runAlertCheck(CONFIG.EMAIL.ENABLED);
+        } else {
+            runAccountAudit(CONFIG.EMAIL.ENABLED);
         }
         
         var endTime = new Date();
@@ -403,147 +941,2544 @@ function main() {
     }
 }
 
-function auditExtensions() {
-    var results = {
-        total: 0,
-        issues: [],
-        opportunities: [],
-        summary: {
-            sitelinks: 0,
-            callouts: 0,
-            snippets: 0,
-            calls: 0,
-            locations: 0,
-            promotions: 0,
-            images: 0,
-            accountLevel: {
-                sitelinks: 0,
-                callouts: 0,
-                snippets: 0,
-                calls: 0,
-                locations: 0,
-                promotions: 0,
-                images: 0
+// Audits the current account and optionally emails its report
+function runAccountAudit(sendReport) {
+    Logger.log('🔗 Auditing extensions...');
+    var auditStart = new Date();
+    var checkpointStore = CONFIG.TIME_BUDGET.ENABLED ? createDriveSnapshotStore(DriveApp, 'Checkpoint') : null;
+    var checkpoint = checkpointStore ? checkpointStore.load() : null;
+    var today = Utilities.formatDate(new Date(), AdsApp.currentAccount().getTimeZone(), 'yyyy-MM-dd');
+    if (checkpoint && daysBetween(checkpoint.date, today) > CONFIG.TIME_BUDGET.CHECKPOINT_MAX_AGE_DAYS) {
+        Logger.log(`🗑️ Dropped the checkpoint of ${checkpoint.date}: older than ${CONFIG.TIME_BUDGET.CHECKPOINT_MAX_AGE_DAYS} day(s)`);
+        checkpointStore.clear();
+        checkpoint = null;
+    }
+    if (checkpoint) {
+        Logger.log(`♻️ Resuming from the checkpoint of ${checkpoint.date} (${Object.keys(checkpoint.campaignSummary).length} campaign(s) done)`);
+    }
+
+    var extensionResults = auditExtensions(createTimeBudget(CONFIG.TIME_BUDGET.ENABLED ? AdsApp.getExecutionInfo() : null), checkpoint);
+    Logger.log(`Extension opportunities: ${extensionResults.opportunities.length}`);
+    Logger.log(`⏱️ Audit took ${(new Date() - auditStart) / 1000} seconds with ${reportQueryCount} report queries`);
+
+    if (checkpointStore) {
+        try {
+            if (extensionResults.incomplete) {
+                checkpointStore.save(extensionResults.checkpoint);
+                Logger.log(`⏸️ Time budget ran out during ${extensionResults.incomplete.stage}; saved a checkpoint for the next run`);
+            } else if (checkpoint) {
+                checkpointStore.clear();
             }
+        } catch (e) {
+            Logger.log('❌ Error saving the checkpoint: ' + e);
+        }
+    }
+    
+    // A partial run would show every campaign not reached yet as removed
+    if (CONFIG.HISTORY.ENABLED && !extensionResults.incomplete) {
+        Logger.log('📈 Comparing with the previous snapshot...');
+        try {
+            updateHistory(extensionResults, createDriveSnapshotStore(DriveApp));
+        } catch (e) {
+            Logger.log('❌ Error updating snapshot history: ' + e);
+        }
+    }
+    
+    if (CONFIG.SHEETS.ENABLED) {
+        Logger.log('📄 Exporting results to Google Sheets...');
+        try {
+            const sink = createSpreadsheetSink(CONFIG.SHEETS.SPREADSHEET_URL, AdsApp.currentAccount().getName(),
+                SpreadsheetApp, createDriveSnapshotStore(DriveApp, 'Spreadsheet'));
+            extensionResults.exportUrl = exportAuditResults(extensionResults, sink);
+        } catch (e) {
+            Logger.log('❌ Error exporting to Google Sheets: ' + e);
+        }
+    }
+    
+    if (sendReport) {
+        Logger.log('📧 Generating and sending email report...');
+        var emailBody = generateExtensionReport(extensionResults, extensionTypes);
+        sendEmail(emailBody, `${extensionResults.incomplete ? '[INCOMPLETE] ' : ''}${CONFIG.EMAIL.SUBJECT_PREFIX} - ${AdsApp.currentAccount().getName()} - ${new Date().toLocaleDateString()}`);
+    }
+    
+    return extensionResults;
+}
+
+function isManagerAccount() {
+    if (typeof AdsManagerApp === 'undefined') return false;
+
+    // AdsManagerApp throws when the script runs in a client account
+    try {
+        AdsManagerApp.accounts();
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function runManagerAudit() {
+    var selector = AdsManagerApp.accounts();
+
+    if (CONFIG.MCC.ACCOUNT_IDS.length > 0) {
+        selector = selector.withIds(CONFIG.MCC.ACCOUNT_IDS);
+    }
+    if (CONFIG.MCC.ACCOUNT_LABELS.length > 0) {
+        var labelList = CONFIG.MCC.ACCOUNT_LABELS.map(label => `'${label}'`).join(', ');
+        selector = selector.withCondition(`LabelNames CONTAINS_ANY [${labelList}]`);
+    }
+
+    // executeInParallel handles at most 50 accounts
+    if (CONFIG.RUN_MODE === 'ALERT') {
+        selector.withLimit(50).executeInParallel('checkManagedAccount', 'sendManagerAlerts');
+    } else {
+        selector.withLimit(50).executeInParallel('auditManagedAccount', 'sendManagerRollup');
+    }
+}
+
+// Runs in each child account; the return value is passed to sendManagerRollup
+function auditManagedAccount() {
+    var results = runAccountAudit(CONFIG.EMAIL.ENABLED && CONFIG.MCC.PER_ACCOUNT_EMAILS);
+    return JSON.stringify(summarizeAccountAudit(results));
+}
+
+function summarizeAccountAudit(results) {
+    var account = AdsApp.currentAccount();
+    var actionItems = getActionItems(results);
+
+    return {
+        customerId: account.getCustomerId(),
+        name: account.getName(),
+        incomplete: !!results.incomplete,
+        exportUrl: results.exportUrl || null,
+        campaigns: Object.keys(results.campaignSummary).length,
+        coverage: getExtensionCoverage(results),
+        healthScore: results.healthScores.account,
+        actionCounts: {
+            HIGH: actionItems.filter(item => item.priority === 'HIGH').length,
+            MEDIUM: actionItems.filter(item => item.priority === 'MEDIUM').length,
+            LOW: actionItems.filter(item => item.priority === 'LOW').length
         },
-        campaignSummary: {}
+        topActions: actionItems.slice(0, CONFIG.MCC.TOP_ACTIONS)
     };
-  
-    // First retrieve account-level extensions
-    extensionTypes.forEach(ext => {
-      try {
-        var accountQuery = `
-          SELECT 
-            asset.id,
-            asset.type,
-            customer_asset.status
-          FROM customer_asset 
-          WHERE asset.type = '${ext.type}'
-          AND customer_asset.status = 'ENABLED'`;
-  
-        var report = AdsApp.report(accountQuery);
-        var rows = report.rows();
-        var count = 0;
-        var assetIds = new Set();
-  
-        while (rows.hasNext()) {
-          var row = rows.next();
-          assetIds.add(row['asset.id']);
-          count++;
-        }
-  
-        results.summary.accountLevel[ext.key] = count;
-            results.summary[ext.key] = count;
-        Logger.log(`Account-level ${ext.type}: ${count}`);
-  
-            // Add extension-specific checks and recommendations
-        if (ext.type === 'SITELINK') {
-                const totalSitelinks = count;
-                if (totalSitelinks < ext.requirements.display.desktop.minimum) {
-            results.issues.push({
-              type: 'sitelinks_minimum',
-              severity: 'high',
-                        message: `Need at least ${ext.requirements.display.desktop.minimum} sitelinks for ads to show on desktop and mobile. Currently have ${totalSitelinks}.`
-                    });
-                }
-          results.summary.sitelinksDetails = {
-            current: totalSitelinks,
-                    desktop: ext.requirements.display.desktop,
-                    mobile: ext.requirements.display.mobile,
-                    video: ext.requirements.display.video
-                };
-            }
+}
 
-            // Similar checks for other extension types...
-            // [Previous extension type checks remain the same]
+/**
+ * Share of extension slots that meet their threshold: every account-level type
+ * plus every eligible type of every audited campaign. Optional types (threshold 0)
+ * don't count.
+ */
+function getExtensionCoverage(results) {
+    var met = 0;
+    var expected = 0;
 
-      } catch (e) {
-        Logger.log(`Error checking account-level ${ext.type} extensions: ${e}`);
-      }
+    extensionTypes.filter(ext => !ext.campaignLevelOnly && getThreshold(ext.key, 'account') > 0).forEach(ext => {
+        expected++;
+        if (results.summary[ext.key] >= getThreshold(ext.key, 'account')) met++;
     });
-  
-    // Loop through all campaigns
-    var campaignIterator = AdsApp.campaigns()
-      .withCondition('Status = ENABLED')
-      .get();
-  
-    while (campaignIterator.hasNext()) {
-      var campaign = campaignIterator.next();
-      var campaignId = campaign.getId();
-      var campaignName = campaign.getName();
-  
-      results.campaignSummary[campaignName] = {
-        sitelinks: 0,
-        callouts: 0,
-        snippets: 0,
-        calls: 0,
-        locations: 0,
-            promotions: 0,
-            images: 0,
-        issues: []
-      };
-  
-      extensionTypes.forEach(ext => {
-        try {
-          var query = `
-            SELECT 
-              campaign.id, 
-              asset.id,
-              asset.type,
-              campaign_asset.status
-            FROM campaign_asset 
-            WHERE campaign.id = ${campaignId}
-            AND asset.type = '${ext.type}'
-            AND campaign_asset.status = 'ENABLED'`;
-  
-          var report = AdsApp.report(query);
-          var rows = report.rows();
-          var campaignCount = 0;
-  
-          while (rows.hasNext()) {
-                    rows.next();
-            campaignCount++;
-          }
-  
-          results.campaignSummary[campaignName][ext.key] = campaignCount;
-  
-          if (ext.recommended > 0 && campaignCount === 0) {
-                    results.campaignSummary[campaignName].issues.push({
-              type: 'missing_extension',
-              severity: 'medium',
-              extensionType: ext.type.toLowerCase(),
-              message: `No ${ext.type.toLowerCase()} extensions found (recommended: ${ext.recommended})`
-            });
-          }
-        } catch (e) {
-          Logger.log(`Error checking ${ext.type} extensions for campaign ${campaignName}: ${e}`);
+
+    Object.values(results.campaignSummary).forEach(data => {
+        var coverage = getCampaignCoverage(data);
+        met += coverage.met;
+        expected += coverage.expected;
+    });
+
+    return { met: met, expected: expected, ratio: expected > 0 ? met / expected : 1 };
+}
+
+function getCampaignCoverage(data) {
+    var eligibleTypes = extensionTypes
+        .filter(ext => isEligibleType(data, ext) && getThreshold(ext.key, 'campaign', data.channelType) > 0);
+    var met = eligibleTypes
+        .filter(ext => data.effectiveCount[ext.key] >= getThreshold(ext.key, 'campaign', data.channelType)).length;
+
+    return { met: met, expected: eligibleTypes.length, ratio: eligibleTypes.length > 0 ? met / eligibleTypes.length : 1 };
+}
+
+// Share of eligible campaigns that meet the per-campaign minimum for one type
+function getCampaignShare(results, ext) {
+    var campaigns = Object.values(results.campaignSummary)
+        .filter(data => isEligibleType(data, ext) && getThreshold(ext.key, 'campaign', data.channelType) > 0);
+    var met = campaigns
+        .filter(data => data.effectiveCount[ext.key] >= getThreshold(ext.key, 'campaign', data.channelType)).length;
+
+    return { met: met, expected: campaigns.length };
+}
+
+// Callback for executeInParallel: ranks the child accounts and sends the rollup email
+function sendManagerRollup(executionResults) {
+    try {
+        var accounts = [];
+        var failures = [];
+
+        executionResults.forEach(result => {
+            if (result.getStatus() === 'OK') {
+                accounts.push(JSON.parse(result.getReturnValue()));
+            } else {
+                failures.push({ customerId: result.getCustomerId(), error: result.getError() || result.getStatus() });
+            }
+        });
+
+        // Lowest coverage first: those accounts need attention most
+        accounts.sort((a, b) => a.coverage.ratio - b.coverage.ratio);
+        Logger.log(`✅ Audited ${accounts.length} account(s), ${failures.length} failed`);
+
+        if (CONFIG.EMAIL.ENABLED && CONFIG.MCC.ROLLUP_EMAIL) {
+            sendEmail(
+                generateRollupReport(accounts, failures),
+                `${CONFIG.EMAIL.SUBJECT_PREFIX} - MCC Rollup - ${new Date().toLocaleDateString()}`
+            );
         }
-      });
+    } catch (e) {
+        Logger.log('❌ Error building MCC rollup: ' + e);
+        sendErrorNotification(e);
+    }
+}
+
+/**
+ * Alert mode: collects only the asset inventory (none of the full audit's
+ * checks), compares it with the snapshot of the previous alert run and emails
+ * only the regressions. The alert snapshot is kept apart from the report
+ * history so reports still compare with the previous report.
+ *
+ * There is no checkpoint to resume from: when the time budget runs out the
+ * stored snapshot is left as it is and nothing is reported.
+ *
+ * @param {boolean} sendAlerts Email the regressions from this account
+ * @return {Array<Object>} The alerts found
+ */
+function runAlertCheck(sendAlerts) {
+    Logger.log('🔔 Checking for regressions...');
+    var results = collectAssetInventory(createTimeBudget(CONFIG.TIME_BUDGET.ENABLED ? AdsApp.getExecutionInfo() : null));
+    if (results.incomplete) {
+        Logger.log(`⏸️ Time budget ran out during ${results.incomplete.stage}; skipped the regression check`);
+        return [];
+    }
+
+    resolveEffectiveAssets(results);
+
+    var store = createDriveSnapshotStore(DriveApp, 'Alerts');
+    var previous = store.load();
+    var snapshot = buildAlertSnapshot(results);
+    store.save(snapshot);
+
+    if (!previous) {
+        Logger.log('No previous alert snapshot; stored the first one');
+        return [];
+    }
+
+    var alerts = findRegressions(results, previous, snapshot);
+    Logger.log(`Found ${alerts.length} regression(s)`);
+
+    if (sendAlerts && alerts.length > 0) {
+        var account = AdsApp.currentAccount();
+        sendEmail(
+            generateAlertEmail([{ customerId: account.getCustomerId(), name: account.getName(), alerts: alerts }], []),
+            `${CONFIG.EMAIL.SUBJECT_PREFIX} - Alert - ${account.getName()} - ${new Date().toLocaleDateString()}`
+        );
+    }
+
+    return alerts;
+}
+
+// Runs in each child account in alert mode; the return value is passed to sendManagerAlerts
+function checkManagedAccount() {
+    var account = AdsApp.currentAccount();
+    return JSON.stringify({ customerId: account.getCustomerId(), name: account.getName(), alerts: runAlertCheck(false) });
+}
+
+// Callback for executeInParallel in alert mode: one email covering every account with regressions
+function sendManagerAlerts(executionResults) {
+    try {
+        var accounts = [];
+        var failures = [];
+
+        executionResults.forEach(result => {
+            if (result.getStatus() === 'OK') {
+                accounts.push(JSON.parse(result.getReturnValue()));
+            } else {
+                failures.push({ customerId: result.getCustomerId(), error: result.getError() || result.getStatus() });
+            }
+        });
+
+        var accountsWithAlerts = accounts.filter(account => account.alerts.length > 0);
+        Logger.log(`✅ Checked ${accounts.length} account(s): ${accountsWithAlerts.length} with regressions, ${failures.length} failed`);
+
+        if (CONFIG.EMAIL.ENABLED && (accountsWithAlerts.length > 0 || failures.length > 0)) {
+            sendEmail(
+                generateAlertEmail(accountsWithAlerts, failures),
+                `${CONFIG.EMAIL.SUBJECT_PREFIX} - MCC Alert - ${new Date().toLocaleDateString()}`
+            );
+        }
+    } catch (e) {
+        Logger.log('❌ Error building MCC alerts: ' + e);
+        sendErrorNotification(e);
+    }
+}
+
+/**
+ * The parts of buildSnapshot() that findRegressions() reads, taken from the
+ * asset inventory alone: sitelink and call counts per campaign and the
+ * assets left out for policy or dates.
+ */
+function buildAlertSnapshot(results) {
+    const snapshot = {
+        date: results.today,
+        campaigns: {},
+        assetLabels: {},
+        issues: {}
+    };
+
+    Object.entries(results.campaignSummary).forEach(([campaignName, data]) => {
+        const campaign = { counts: {}, assets: {} };
+
+        extensionTypes.filter(ext => ext.key === 'sitelinks' || ext.key === 'calls').forEach(ext => {
+            campaign.counts[ext.key] = data.effectiveCount[ext.key];
+            campaign.assets[ext.key] = data.effective[ext.key].slice();
+            data.effective[ext.key].forEach(id => {
+                snapshot.assetLabels[id] = toPlainText(describeAsset(results.assets[id]));
+            });
+        });
+
+        snapshot.campaigns[campaignName] = campaign;
+    });
+
+    results.excludedAssets.forEach(item => {
+        snapshot.issues[`${item.reason}:${item.level}:${item.assetId}`] = {
+            campaign: item.level,
+            message: describeExclusion(results, item)
+        };
+    });
+
+    return snapshot;
+}
+
+/**
+ * Regressions since the previous snapshot: campaigns that fell below their
+ * sitelink minimum or lost their last call asset, and assets that became
+ * disapproved or promotions that expired.
+ */
+function findRegressions(results, previous, current) {
+    const alerts = [];
+
+    Object.entries(current.campaigns).forEach(([campaignName, campaign]) => {
+        const before = previous.campaigns[campaignName];
+        if (!before) return;
+
+        const minimum = getThreshold('sitelinks', 'campaign', results.campaignSummary[campaignName].channelType);
+        if (before.counts.sitelinks >= minimum && campaign.counts.sitelinks < minimum) {
+            alerts.push({
+                type: 'Sitelinks below minimum',
+                campaign: campaignName,
+                message: `Eligible sitelinks dropped from ${before.counts.sitelinks} to ${campaign.counts.sitelinks} (minimum ${minimum})`
+            });
+        }
+
+        if (before.counts.calls > 0 && campaign.counts.calls === 0) {
+            alerts.push({
+                type: 'Call asset removed',
+                campaign: campaignName,
+                message: `No call asset serves any more (previously ${before.assets.calls.map(id => previous.assetLabels[id] || `Asset ${id}`).join(', ')})`
+            });
+        }
+    });
+
+    Object.keys(current.issues)
+        .filter(key => !previous.issues[key])
+        .forEach(key => {
+            const issue = current.issues[key];
+            const asset = results.assets[key.split(':').pop()];
+
+            if (key.indexOf('disapproved:') === 0) {
+                alerts.push({ type: 'Asset disapproved', campaign: issue.campaign, message: issue.message });
+            } else if (key.indexOf('expired:') === 0 && asset && asset.type === 'PROMOTION') {
+                alerts.push({ type: 'Promotion expired', campaign: issue.campaign, message: issue.message });
+            }
+        });
+
+    return alerts;
+}
+
+/**
+ * Collects and checks the extensions of the current account.
+ *
+ * @param {Object=} budget Time budget from createTimeBudget(); campaigns and
+ *     landing pages not reached before it runs out are left for the next run,
+ *     with results.incomplete and results.checkpoint set
+ * @param {Object=} checkpoint results.checkpoint of an earlier run to resume
+ */
+function auditExtensions(budget, checkpoint) {
+    budget = budget || createTimeBudget(null);
+
+    var results = collectAssetInventory(budget, checkpoint);
+
+    // Collected state to resume from; the checks below add derived fields
+    var collectedState = budget.enabled ? JSON.stringify({
+        campaignSummary: results.campaignSummary,
+        assets: results.assets,
+        excludedAssets: results.excludedAssets.filter(item => item.level !== 'Account')
+    }) : null;
+
+    // Work out which assets will actually serve, then judge coverage on that
+    resolveEffectiveAssets(results);
+    flagMissingExtensions(results);
+    flagAutomaticCoverage(results);
+    collectAutomationSettings(results, budget);
+    collectLegacyFeedItems(results, budget);
+    checkAssetExpiry(results);
+    collectCampaignAdSchedules(results, budget);
+    checkScheduleAlignment(results);
+    validateTextLimits(results);
+    checkStructuredSnippets(results);
+    checkAssetRequirements(results);
+    detectDuplicateTexts(results);
+
+    if (CONFIG.LINK_CHECK.ENABLED && !results.incomplete) {
+        checkLandingPages(results, UrlFetchApp, budget);
+    }
+
+    collectAssetPerformance(results, budget);
+    findUnderperformingAssets(results);
+    calculateHealthScores(results);
+
+    if (results.incomplete) {
+        var collected = JSON.parse(collectedState);
+        results.incomplete.audited = Object.keys(results.campaignSummary).length;
+        results.incomplete.total = results.campaignFilters.audited;
+        results.checkpoint = {
+            date: results.today,
+            campaignSummary: collected.campaignSummary,
+            assets: collected.assets,
+            excludedAssets: collected.excludedAssets,
+            landingPages: results.landingPages || null
+        };
     }
   
     return results;
   }
+
+/**
+ * Collects the account, campaign and ad group assets of the campaigns in
+ * scope, leaving out those that can't serve (see excludeNonServingAsset).
+ * Campaigns taken over from a checkpoint are not queried again. When the
+ * budget runs out before a query, the campaigns it would have collected are
+ * skipped and results.incomplete is set.
+ */
+function collectAssetInventory(budget, checkpoint) {
+    var results = {
+        total: 0,
+        issues: [],
+        opportunities: [],
+        summary: {
+            sitelinks: 0,
+            callouts: 0,
+            snippets: 0,
+            calls: 0,
+            locations: 0,
+            promotions: 0,
+            images: 0,
+            prices: 0,
+            leadForms: 0,
+            businessNames: 0,
+            businessLogos: 0,
+            mobileApps: 0,
+            hotelCallouts: 0,
+            accountLevel: {
+                sitelinks: 0,
+                callouts: 0,
+                snippets: 0,
+                calls: 0,
+                locations: 0,
+                promotions: 0,
+                images: 0,
+                prices: 0,
+                leadForms: 0,
+                businessNames: 0,
+                businessLogos: 0,
+                mobileApps: 0,
+                hotelCallouts: 0
+            }
+        },
+        assets: {},
+        accountAssets: {},
+        excludedAssets: [],
+        campaignSummary: {},
+        currencyCode: AdsApp.currentAccount().getCurrencyCode(),
+        today: Utilities.formatDate(new Date(), AdsApp.currentAccount().getTimeZone(), 'yyyy-MM-dd')
+    };
+
+    // Campaigns collected by a run that ran out of time are taken over as they were
+    if (checkpoint) {
+        Object.assign(results.assets, checkpoint.assets);
+        Object.assign(results.campaignSummary, checkpoint.campaignSummary);
+        results.excludedAssets = checkpoint.excludedAssets.slice();
+        results.landingPages = checkpoint.landingPages;
+    }
+  
+    var collectionStart = new Date();
+    var collectionQueries = reportQueryCount;
+
+    // First retrieve account-level extensions, one query for all types
+    var accountRowsByType = skipForTimeBudget(results, budget, 'account assets') ? {} : collectAssetRows('customer_asset', [], [
+        "customer_asset.status = 'ENABLED'"
+    ], (row, ext) => ext.type);
+
+    extensionTypes.forEach(ext => {
+      try {
+        var count = 0;
+        var assetIds = new Set();
+  
+        for (var row of accountRowsByType[ext.type] || []) {
+          recordAssetContent(results, ext, row);
+          if (excludeNonServingAsset(results, ext, row['asset.id'], 'Account')) continue;
+          assetIds.add(row['asset.id']);
+          count++;
+        }
+  
+        results.summary.accountLevel[ext.key] = count;
+        results.accountAssets[ext.key] = Array.from(assetIds);
+            results.summary[ext.key] = count;
+        Logger.log(`Account-level ${ext.type}: ${count}`);
+  
+            // Add extension-specific checks and recommendations
+        if (ext.type === 'SITELINK') {
+                const totalSitelinks = count;
+                if (totalSitelinks < ext.requirements.display.desktop.minimum) {
+            results.issues.push({
+              type: 'sitelinks_minimum',
+              severity: 'high',
+                        message: `Need at least ${ext.requirements.display.desktop.minimum} sitelinks for ads to show on desktop and mobile. Currently have ${totalSitelinks}.`
+                    });
+                }
+          results.summary.sitelinksDetails = {
+            current: totalSitelinks,
+                    desktop: ext.requirements.display.desktop,
+                    mobile: ext.requirements.display.mobile,
+                    video: ext.requirements.display.video
+                };
+            }
+
+            // Similar checks for other extension types...
+            // [Previous extension type checks remain the same]
+
+      } catch (e) {
+        Logger.log(`Error checking account-level ${ext.type} extensions: ${e}`);
+      }
+    });
+  
+    var auditedCampaigns = getAuditedCampaigns(results);
+    var auditedNames = auditedCampaigns.map(campaignInfo => campaignInfo.name);
+
+    // Drop checkpointed campaigns that have left the audit scope since
+    Object.keys(results.campaignSummary)
+        .filter(campaignName => auditedNames.indexOf(campaignName) === -1)
+        .forEach(campaignName => {
+            delete results.campaignSummary[campaignName];
+        });
+    results.excludedAssets = results.excludedAssets
+        .filter(item => item.level === 'Account' || auditedNames.indexOf(item.level.split(' › ')[0]) !== -1);
+
+    // On resume only the campaigns the checkpoint doesn't cover are queried
+    var pendingCampaigns = auditedCampaigns.filter(campaignInfo => !results.campaignSummary[campaignInfo.name]);
+    var campaignConditions = [getCampaignStatusCondition()];
+    if (checkpoint) {
+        campaignConditions.push(`campaign.id IN (${pendingCampaigns.map(campaignInfo => campaignInfo.id).join(', ')})`);
+    }
+    var queryCampaigns = () => pendingCampaigns.length > 0 && !skipForTimeBudget(results, budget, 'campaign collection');
+
+    // Campaign and ad group links for every campaign in one query per level,
+    // grouped in memory by campaign and type
+    var adGroupsByCampaign = {};
+    var adGroupRows = !queryCampaigns() ? null : runReport(`
+      SELECT 
+        campaign.id,
+        ad_group.id,
+        ad_group.name
+      FROM ad_group 
+      WHERE ad_group.status = 'ENABLED'
+      AND ${campaignConditions.join('\n      AND ')}`).rows();
+
+    while (adGroupRows && adGroupRows.hasNext()) {
+      var adGroupRow = adGroupRows.next();
+      (adGroupsByCampaign[adGroupRow['campaign.id']] = adGroupsByCampaign[adGroupRow['campaign.id']] || []).push(adGroupRow);
+    }
+
+    var campaignRowsByType = !queryCampaigns() ? {} : collectAssetRows('campaign_asset', ['campaign.id'], [
+        "campaign_asset.status = 'ENABLED'"
+    ].concat(campaignConditions), (row, ext) => `${row['campaign.id']}:${ext.type}`);
+
+    var adGroupRowsByType = !queryCampaigns() ? {} : collectAssetRows('ad_group_asset', ['campaign.id', 'ad_group.id', 'ad_group.name'], [
+        "ad_group_asset.status = 'ENABLED'",
+        "ad_group.status = 'ENABLED'"
+    ].concat(campaignConditions), (row, ext) => `${row['campaign.id']}:${ext.type}`);
+
+    // Loop through the campaigns in scope (see CONFIG.CAMPAIGN_FILTERS)
+    auditedCampaigns.forEach(campaignInfo => {
+      var campaignId = campaignInfo.id;
+      var campaignName = campaignInfo.name;
+      var channelType = campaignInfo.channelType;
+
+      if (results.campaignSummary[campaignName]) {
+        results.campaignSummary[campaignName].stats = campaignInfo.stats;
+        return;
+      }
+      // Its rows weren't queried before the budget ran out
+      if (results.incomplete) return;
+  
+      results.campaignSummary[campaignName] = {
+        id: campaignId,
+        channelType: channelType,
+        profile: getCampaignProfile(channelType),
+        status: campaignInfo.status,
+        stats: campaignInfo.stats,
+        sitelinks: 0,
+        callouts: 0,
+        snippets: 0,
+        calls: 0,
+        locations: 0,
+            promotions: 0,
+            images: 0,
+            prices: 0,
+            leadForms: 0,
+            businessNames: 0,
+            businessLogos: 0,
+            mobileApps: 0,
+            hotelCallouts: 0,
+        adGroups: {},
+        assets: {},
+        issues: []
+      };
+
+      // Register the enabled ad groups so ad-group-level coverage can be judged
+      (adGroupsByCampaign[campaignId] || []).forEach(adGroupRow => {
+        results.campaignSummary[campaignName].adGroups[adGroupRow['ad_group.name']] = createAdGroupSummary(adGroupRow['ad_group.id']);
+      });
+  
+      extensionTypes.forEach(ext => {
+        try {
+          var campaignAssetIds = [];
   
+          for (var row of campaignRowsByType[`${campaignId}:${ext.type}`] || []) {
+                    recordAssetContent(results, ext, row);
+                    if (excludeNonServingAsset(results, ext, row['asset.id'], campaignName)) continue;
+                    campaignAssetIds.push(row['asset.id']);
+          }
+  
+          results.campaignSummary[campaignName][ext.key] = campaignAssetIds.length;
+          results.campaignSummary[campaignName].assets[ext.key] = campaignAssetIds;
+
+          // Third pass: ad-group-level assets for this campaign
+          auditAdGroupExtensions(results, campaignName, ext, adGroupRowsByType[`${campaignId}:${ext.type}`] || []);
+        } catch (e) {
+          Logger.log(`Error checking ${ext.type} extensions for campaign ${campaignName}: ${e}`);
+        }
+      });
+    });
+
+    Logger.log(`⏱️ Collected assets for ${pendingCampaigns.filter(campaignInfo => results.campaignSummary[campaignInfo.name]).length} campaign(s) in ${(new Date() - collectionStart) / 1000} seconds ` +
+        `with ${reportQueryCount - collectionQueries} report queries`);
+
+    return results;
+}
+
+/**
+ * Tracks the remaining execution time: isExhausted() turns true once less than
+ * CONFIG.TIME_BUDGET.RESERVE_SECONDS remain. Without executionInfo
+ * (AdsApp.getExecutionInfo()) the budget never runs out.
+ */
+function createTimeBudget(executionInfo) {
+    return {
+        enabled: !!executionInfo,
+        isExhausted: () => executionInfo ? executionInfo.getRemainingTime() < CONFIG.TIME_BUDGET.RESERVE_SECONDS : false
+    };
+}
+
+/**
+ * Called before each query phase: once the budget has run out the phase is
+ * skipped and listed on results.incomplete.skipped, with the first phase
+ * skipped as results.incomplete.stage.
+ */
+function skipForTimeBudget(results, budget, stage) {
+    if (!budget || !budget.isExhausted()) return false;
+
+    results.incomplete = results.incomplete || { stage: stage };
+    results.incomplete.skipped = results.incomplete.skipped || [];
+    if (results.incomplete.skipped.indexOf(stage) === -1) results.incomplete.skipped.push(stage);
+    return true;
+}
+
+/**
+ * Lists the campaigns to audit after applying CONFIG.CAMPAIGN_FILTERS, with
+ * their channel type, status and cost/impressions/clicks/conversions over
+ * CONFIG.DATE_RANGE. A description of the filters applied is stored on
+ * results.campaignFilters for the report header.
+ */
+function getAuditedCampaigns(results) {
+    var filters = CONFIG.CAMPAIGN_FILTERS;
+    var campaigns = [];
+    var byId = {};
+
+    var rows = runReport(`
+      SELECT 
+        campaign.id,
+        campaign.name,
+        campaign.status,
+        campaign.serving_status,
+        campaign.advertising_channel_type
+      FROM campaign 
+      WHERE ${getCampaignStatusCondition()}`).rows();
+
+    while (rows.hasNext()) {
+        var row = rows.next();
+        var campaign = {
+            id: row['campaign.id'],
+            name: row['campaign.name'],
+            status: row['campaign.status'],
+            servingStatus: row['campaign.serving_status'],
+            channelType: row['campaign.advertising_channel_type'],
+            labels: [],
+            stats: { cost: 0, impressions: 0, clicks: 0, conversions: 0 }
+        };
+        campaigns.push(campaign);
+        byId[campaign.id] = campaign;
+    }
+
+    var statRows = runReport(`
+      SELECT 
+        campaign.id,
+        metrics.cost_micros,
+        metrics.impressions,
+        metrics.clicks,
+        metrics.conversions
+      FROM campaign 
+      WHERE ${getCampaignStatusCondition()}
+      AND segments.date DURING ${CONFIG.DATE_RANGE}`).rows();
+
+    while (statRows.hasNext()) {
+        var statRow = statRows.next();
+        var stats = byId[statRow['campaign.id']] ? byId[statRow['campaign.id']].stats : null;
+        if (!stats) continue;
+
+        stats.cost += (Number(statRow['metrics.cost_micros']) || 0) / 1000000;
+        stats.impressions += Number(statRow['metrics.impressions']) || 0;
+        stats.clicks += Number(statRow['metrics.clicks']) || 0;
+        stats.conversions += Number(statRow['metrics.conversions']) || 0;
+    }
+
+    if (filters.INCLUDE_LABELS.length > 0 || filters.EXCLUDE_LABELS.length > 0) {
+        var labelRows = runReport(`
+          SELECT 
+            campaign.id,
+            label.name
+          FROM campaign_label`).rows();
+
+        while (labelRows.hasNext()) {
+            var labelRow = labelRows.next();
+            if (byId[labelRow['campaign.id']]) {
+                byId[labelRow['campaign.id']].labels.push(labelRow['label.name']);
+            }
+        }
+    }
+
+    var applied = [filters.INCLUDE_PAUSED ? 'Enabled and paused campaigns' : 'Enabled campaigns'];
+    var checks = [];
+
+    if (filters.EXCLUDE_ENDED) {
+        applied.push('ended campaigns excluded');
+        checks.push(campaign => campaign.servingStatus !== 'ENDED');
+    }
+    if (filters.INCLUDE_LABELS.length > 0) {
+        applied.push(`labels: ${filters.INCLUDE_LABELS.join(', ')}`);
+        checks.push(campaign => campaign.labels.some(label => filters.INCLUDE_LABELS.indexOf(label) !== -1));
+    }
+    if (filters.EXCLUDE_LABELS.length > 0) {
+        applied.push(`excluding labels: ${filters.EXCLUDE_LABELS.join(', ')}`);
+        checks.push(campaign => !campaign.labels.some(label => filters.EXCLUDE_LABELS.indexOf(label) !== -1));
+    }
+    if (filters.INCLUDE_NAME_PATTERN) {
+        var includePattern = new RegExp(filters.INCLUDE_NAME_PATTERN, 'i');
+        applied.push(`name matches /${filters.INCLUDE_NAME_PATTERN}/`);
+        checks.push(campaign => includePattern.test(campaign.name));
+    }
+    if (filters.EXCLUDE_NAME_PATTERN) {
+        var excludePattern = new RegExp(filters.EXCLUDE_NAME_PATTERN, 'i');
+        applied.push(`name doesn't match /${filters.EXCLUDE_NAME_PATTERN}/`);
+        checks.push(campaign => !excludePattern.test(campaign.name));
+    }
+    if (filters.MIN_COST > 0) {
+        applied.push(`cost ≥ ${results.currencyCode} ${filters.MIN_COST}`);
+        checks.push(campaign => campaign.stats.cost >= filters.MIN_COST);
+    }
+    if (filters.MIN_IMPRESSIONS > 0) {
+        applied.push(`impressions ≥ ${filters.MIN_IMPRESSIONS}`);
+        checks.push(campaign => campaign.stats.impressions >= filters.MIN_IMPRESSIONS);
+    }
+
+    var inScope = campaigns.filter(campaign => checks.every(check => check(campaign)));
+    var audited = inScope.filter(campaign => !getCampaignProfile(campaign.channelType).unsupported);
+
+    results.campaignFilters = {
+        applied: applied,
+        dateRange: CONFIG.DATE_RANGE,
+        audited: audited.length,
+        excluded: campaigns.length - inScope.length,
+        unsupported: inScope
+            .filter(campaign => audited.indexOf(campaign) === -1)
+            .map(campaign => ({ name: campaign.name, type: getCampaignProfile(campaign.channelType).label }))
+    };
+    Logger.log(`Auditing ${audited.length} of ${campaigns.length} campaigns (${applied.join('; ')}), ` +
+        `${results.campaignFilters.unsupported.length} of an unsupported type`);
+
+    return audited;
+}
+
+// GAQL condition matching the campaign statuses in scope
+function getCampaignStatusCondition() {
+    return CONFIG.CAMPAIGN_FILTERS.INCLUDE_PAUSED ?
+        "campaign.status IN ('ENABLED', 'PAUSED')" :
+        "campaign.status = 'ENABLED'";
+}
+
+// Profile for a channel type; types without their own profile are unsupported
+function getCampaignProfile(channelType) {
+    if (campaignProfiles[channelType]) return campaignProfiles[channelType];
+
+    var label = String(channelType || 'Unknown').toLowerCase().replace(/_/g, ' ');
+    return {
+        label: label.charAt(0).toUpperCase() + label.slice(1),
+        unsupported: true,
+        eligibleTypes: []
+    };
+}
+
+function isEligibleType(data, ext) {
+    return data.profile.eligibleTypes.indexOf(ext.key) !== -1;
+}
+
+/**
+ * Minimum number of eligible assets for an extension type at a level
+ * ('account', 'campaign' or 'adGroup'), taking the campaign type overrides
+ * in CONFIG.THRESHOLDS into account when a channel type is given.
+ */
+function getThreshold(key, level, channelType) {
+    var override = channelType ? CONFIG.THRESHOLDS.CAMPAIGN_TYPE_OVERRIDES[channelType] : null;
+    if (override && override[key] && override[key][level] !== undefined) {
+        return override[key][level];
+    }
+    return CONFIG.THRESHOLDS.DEFAULT[key][level];
+}
+
+function createAdGroupSummary(adGroupId) {
+    var summary = { id: adGroupId, assets: {} };
+    extensionTypes.forEach(ext => {
+        summary[ext.key] = 0;
+        summary.assets[ext.key] = [];
+    });
+    return summary;
+}
+
+// Counts the ad-group-level links of one type in a campaign, from rows collected by collectAssetRows
+function auditAdGroupExtensions(results, campaignName, ext, rows) {
+    var adGroups = results.campaignSummary[campaignName].adGroups;
+
+    for (var row of rows) {
+        var adGroupName = row['ad_group.name'];
+
+        if (!adGroups[adGroupName]) {
+            adGroups[adGroupName] = createAdGroupSummary(row['ad_group.id']);
+        }
+        recordAssetContent(results, ext, row);
+        if (excludeNonServingAsset(results, ext, row['asset.id'], `${campaignName} › ${adGroupName}`)) continue;
+        adGroups[adGroupName][ext.key]++;
+        adGroups[adGroupName].assets[ext.key].push(row['asset.id']);
+    }
+}
+
+/**
+ * Collects impressions, clicks, CTR, cost and conversions over CONFIG.DATE_RANGE
+ * for every account-level and campaign-level asset link:
+ * results.performance.account[assetId] and results.performance.campaigns[campaignName][assetId].
+ */
+function collectAssetPerformance(results, budget) {
+    results.performance = { account: {}, campaigns: {} };
+    if (skipForTimeBudget(results, budget, 'asset performance')) return;
+
+    try {
+        var accountRows = runReport(`
+          SELECT 
+            asset.id,
+            metrics.impressions,
+            metrics.clicks,
+            metrics.cost_micros,
+            metrics.conversions
+          FROM customer_asset 
+          WHERE customer_asset.status = 'ENABLED'
+          AND segments.date DURING ${CONFIG.DATE_RANGE}`).rows();
+
+        while (accountRows.hasNext()) {
+            var accountRow = accountRows.next();
+            addAssetMetrics(results.performance.account, accountRow['asset.id'], accountRow);
+        }
+
+        if (skipForTimeBudget(results, budget, 'asset performance')) return;
+        var campaignRows = runReport(`
+          SELECT 
+            campaign.name,
+            asset.id,
+            metrics.impressions,
+            metrics.clicks,
+            metrics.cost_micros,
+            metrics.conversions
+          FROM campaign_asset 
+          WHERE campaign_asset.status = 'ENABLED'
+          AND ${getCampaignStatusCondition()}
+          AND segments.date DURING ${CONFIG.DATE_RANGE}`).rows();
+
+        while (campaignRows.hasNext()) {
+            var campaignRow = campaignRows.next();
+            var campaignName = campaignRow['campaign.name'];
+            results.performance.campaigns[campaignName] = results.performance.campaigns[campaignName] || {};
+            addAssetMetrics(results.performance.campaigns[campaignName], campaignRow['asset.id'], campaignRow);
+        }
+    } catch (e) {
+        Logger.log(`Error collecting asset performance: ${e}`);
+    }
+}
+
+function addAssetMetrics(metricsById, assetId, row) {
+    var metrics = metricsById[assetId] || { impressions: 0, clicks: 0, cost: 0, conversions: 0, ctr: 0 };
+    metrics.impressions += Number(row['metrics.impressions']) || 0;
+    metrics.clicks += Number(row['metrics.clicks']) || 0;
+    metrics.cost += (Number(row['metrics.cost_micros']) || 0) / 1000000;
+    metrics.conversions += Number(row['metrics.conversions']) || 0;
+    metrics.ctr = metrics.impressions > 0 ? metrics.clicks / metrics.impressions : 0;
+    metricsById[assetId] = metrics;
+}
+
+// Metrics for an asset as it serves in a campaign: its own campaign link, else the account link
+function getAssetMetrics(results, campaignName, ext, assetId) {
+    var emptyMetrics = { impressions: 0, clicks: 0, cost: 0, conversions: 0, ctr: 0 };
+    var campaignAssets = results.campaignSummary[campaignName].assets[ext.key] || [];
+
+    if (campaignAssets.indexOf(assetId) !== -1) {
+        return (results.performance.campaigns[campaignName] || {})[assetId] || emptyMetrics;
+    }
+    return results.performance.account[assetId] || emptyMetrics;
+}
+
+/**
+ * Lists assets without impressions in CONFIG.DATE_RANGE and assets whose CTR is
+ * well below the average of their type at the same level on results.underperformingAssets.
+ */
+function findUnderperformingAssets(results) {
+    results.underperformingAssets = [];
+
+    var checkLevel = (level, assetIds, metricsById, ext) => {
+        if (assetIds.length === 0) return;
+
+        var totals = assetIds.reduce((sum, id) => {
+            var metrics = metricsById[id];
+            return metrics ? { impressions: sum.impressions + metrics.impressions, clicks: sum.clicks + metrics.clicks } : sum;
+        }, { impressions: 0, clicks: 0 });
+        var averageCtr = totals.impressions > 0 ? totals.clicks / totals.impressions : 0;
+
+        assetIds.forEach(id => {
+            var metrics = metricsById[id];
+
+            if (!metrics || metrics.impressions === 0) {
+                results.underperformingAssets.push({ assetId: id, key: ext.key, level: level, reason: 'No impressions', metrics: metrics || null });
+            } else if (metrics.impressions >= CONFIG.PERFORMANCE.MIN_IMPRESSIONS &&
+                metrics.ctr < averageCtr * CONFIG.PERFORMANCE.LOW_CTR_RATIO) {
+                results.underperformingAssets.push({
+                    assetId: id,
+                    key: ext.key,
+                    level: level,
+                    reason: `CTR ${formatPercent(metrics.ctr)} vs ${formatPercent(averageCtr)} average`,
+                    metrics: metrics
+                });
+            }
+        });
+    };
+
+    // Location assets come from the Business Profile and aren't replaced one by one
+    extensionTypes.filter(ext => ext.type !== 'LOCATION').forEach(ext => {
+        checkLevel('Account', results.accountAssets[ext.key] || [], results.performance.account, ext);
+
+        for (const [campaignName, data] of Object.entries(results.campaignSummary)) {
+            checkLevel(campaignName, data.assets[ext.key] || [], results.performance.campaigns[campaignName] || {}, ext);
+        }
+    });
+}
+
+/**
+ * Runs one query for every audited extension type at a level and groups the
+ * rows by groupKey(row, ext). AdsApp.report pages through the results itself, so
+ * a single query covers any number of campaigns. Rows that match no extension
+ * type (e.g. a text asset used as a headline) are dropped.
+ *
+ * @param {string} resource customer_asset, campaign_asset or ad_group_asset
+ * @param {Array<string>} fields Extra fields to select, e.g. campaign.id
+ * @param {Array<string>} conditions WHERE conditions joined with AND
+ * @param {function(Object, Object): string} groupKey Group key for a row and its extension type
+ * @return {Object} Arrays of rows by group key
+ */
+function collectAssetRows(resource, fields, conditions, groupKey) {
+    var grouped = {};
+    var assetTypes = Array.from(new Set(extensionTypes.map(getAssetType)));
+    var rows = runReport(`
+      SELECT 
+        ${fields.concat(['asset.id', 'asset.type', `${resource}.field_type`]).join(',\n        ')}${getAssetFieldSelect(extensionTypes)}
+      FROM ${resource} 
+      WHERE asset.type IN (${assetTypes.map(type => `'${type}'`).join(', ')})
+      AND ${conditions.join('\n      AND ')}`).rows();
+
+    while (rows.hasNext()) {
+        var row = rows.next();
+        var ext = findExtensionType(row['asset.type'], row[`${resource}.field_type`]);
+        if (!ext) continue;
+        var key = groupKey(row, ext);
+        (grouped[key] = grouped[key] || []).push(row);
+    }
+
+    return grouped;
+}
+
+// The GAQL asset.type of an extension type; most types share their name with it
+function getAssetType(ext) {
+    return ext.assetType || ext.type;
+}
+
+// Image and text assets serve several purposes, so those types also match on the link's field type
+function findExtensionType(assetType, fieldType) {
+    return extensionTypes.find(ext => getAssetType(ext) === assetType && (!ext.fieldType || ext.fieldType === fieldType));
+}
+
+// Content, source and policy fields for the given extension types
+function getAssetFieldSelect(types) {
+    var fields = types.reduce((list, ext) => list.concat(ext.assetFields.map(assetField => assetField.field)), []);
+    return Array.from(new Set(fields))
+        .concat(['asset.source', 'asset.policy_summary.approval_status', 'asset.policy_summary.review_status', 'asset.policy_summary.policy_topic_entries'])
+        .map(field => `,\n        ${field}`).join('');
+}
+
+// Stores the content of an asset once, however many levels it is linked at
+function recordAssetContent(results, ext, row) {
+    var assetId = row['asset.id'];
+    if (results.assets[assetId]) return;
+
+    var asset = { id: assetId, type: ext.type, key: ext.key };
+    ext.assetFields.forEach(assetField => {
+        var value = row[assetField.field];
+        asset[assetField.name] = assetField.list ?
+            parseListValue(value).map(assetField.parseItem || (item => item)) :
+            (value === undefined || value === null ? '' : value);
+    });
+    asset.source = row['asset.source'] || 'UNKNOWN';
+    asset.approvalStatus = row['asset.policy_summary.approval_status'] || 'UNKNOWN';
+    asset.reviewStatus = row['asset.policy_summary.review_status'] || 'UNKNOWN';
+    asset.policyTopics = parseListValue(row['asset.policy_summary.policy_topic_entries'])
+        .map(entry => entry && entry.topic ? entry.topic : String(entry));
+    results.assets[assetId] = asset;
+}
+
+/**
+ * Keeps disapproved, limited, expired and not yet started assets out of the active counts. The asset link
+ * is recorded on results.excludedAssets with the level it was found at.
+ *
+ * @return {boolean} True when the asset doesn't serve and should be skipped
+ */
+function excludeNonServingAsset(results, ext, assetId, level) {
+    var asset = results.assets[assetId];
+    var reason = null;
+
+    if (asset.approvalStatus === 'DISAPPROVED') {
+        reason = 'disapproved';
+    } else if (asset.approvalStatus === 'APPROVED_LIMITED' || asset.approvalStatus === 'AREA_OF_INTEREST_ONLY') {
+        reason = 'limited';
+    } else if (asset.endDate && asset.endDate < results.today) {
+        reason = 'expired';
+    } else if (asset.startDate && asset.startDate > results.today) {
+        reason = 'scheduled';
+    }
+
+    if (!reason) return false;
+
+    results.excludedAssets.push({ assetId: assetId, key: ext.key, level: level, reason: reason });
+    return true;
+}
+
+/**
+ * Repeated GAQL fields come back as arrays, as JSON or as the report's text
+ * rendering, e.g. `[{day_of_week=MONDAY, start_hour=9}, {…}]`. Structured
+ * items are parsed into objects as a whole; only plain scalar lists are split
+ * on commas.
+ */
+function parseListValue(value) {
+    if (Array.isArray(value)) return value;
+    if (value === undefined || value === null || value === '') return [];
+
+    var text = String(value).trim();
+    if (text.charAt(0) === '[') {
+        try {
+            var parsed = JSON.parse(text);
+            if (Array.isArray(parsed)) return parsed;
+        } catch (e) {
+            text = text.slice(1, -1);
+        }
+    }
+    return splitTopLevel(text)
+        .map(item => item.charAt(0) === '{' ? parseReportObject(item) : item)
+        .filter(item => item !== '');
+}
+
+// Parses one `{key=value, nested={…}, list=[…]}` item of the report's text rendering
+function parseReportObject(text) {
+    var object = {};
+    splitTopLevel(text.trim().slice(1, -1)).forEach(pair => {
+        var separator = pair.indexOf('=');
+        if (separator === -1) return;
+
+        var value = pair.slice(separator + 1).trim();
+        if (value.charAt(0) === '{') {
+            value = parseReportObject(value);
+        } else if (value.charAt(0) === '[') {
+            value = parseListValue(value);
+        }
+        object[pair.slice(0, separator).trim()] = value;
+    });
+    return object;
+}
+
+// Splits on the commas that aren't nested inside braces or brackets
+function splitTopLevel(text) {
+    var parts = [];
+    var depth = 0;
+    var start = 0;
+
+    for (var i = 0; i < text.length; i++) {
+        var character = text.charAt(i);
+        if (character === '{' || character === '[') depth++;
+        if (character === '}' || character === ']') depth--;
+        if (character === ',' && depth === 0) {
+            parts.push(text.slice(start, i).trim());
+            start = i + 1;
+        }
+    }
+    parts.push(text.slice(start).trim());
+    return parts;
+}
+
+/**
+ * Applies the account > campaign > ad group precedence rules to the collected
+ * asset ids. For 'mostSpecific' types the most specific level that has assets
+ * wins and hides the levels above it; 'combined' types serve from every level
+ * in the branch.
+ *
+ * Adds to each campaign:
+ * - effective[key]: asset ids ad groups without their own assets receive
+ * - effectiveCount[key]: lowest number of eligible assets across its ad groups
+ * - hiddenAccountAssets[key]: account-level assets that never serve here
+ */
+function resolveEffectiveAssets(results) {
+    for (const data of Object.values(results.campaignSummary)) {
+        data.effective = {};
+        data.effectiveCount = {};
+        data.hiddenAccountAssets = {};
+
+        extensionTypes.forEach(ext => {
+            const accountIds = results.accountAssets[ext.key] || [];
+            const resolved = resolveCampaignAssets(ext, accountIds, data);
+
+            data.effective[ext.key] = resolved.campaignIds;
+            data.effectiveCount[ext.key] = resolved.minimumCount;
+            data.hiddenAccountAssets[ext.key] = accountIds.filter(id => resolved.campaignIds.indexOf(id) === -1).length;
+
+            Object.entries(resolved.adGroupIds).forEach(([name, ids]) => {
+                const adGroup = data.adGroups[name];
+                adGroup.effective = adGroup.effective || {};
+                adGroup.effective[ext.key] = ids;
+            });
+        });
+    }
+}
+
+/**
+ * Resolves one extension type for a campaign and its ad groups. Assets for which
+ * isRemoved(assetId) returns true are left out, so callers can ask what serves
+ * once some assets are gone.
+ */
+function resolveCampaignAssets(ext, accountIds, data, isRemoved) {
+    const keep = ids => isRemoved ? ids.filter(id => !isRemoved(id)) : ids;
+    const campaignIds = resolveAssetLevel(ext, keep(accountIds), keep(data.assets[ext.key] || []));
+    const adGroupIds = {};
+
+    Object.keys(data.adGroups).forEach(name => {
+        adGroupIds[name] = resolveAssetLevel(ext, campaignIds, keep(data.adGroups[name].assets[ext.key]));
+    });
+
+    const adGroupNames = Object.keys(adGroupIds);
+
+    return {
+        campaignIds: campaignIds,
+        adGroupIds: adGroupIds,
+        minimumCount: adGroupNames.length > 0 ?
+            Math.min(...adGroupNames.map(name => adGroupIds[name].length)) :
+            campaignIds.length
+    };
+}
+
+function resolveAssetLevel(ext, inheritedIds, ownIds) {
+    if (ext.hierarchyMode === 'combined') {
+        return Array.from(new Set(inheritedIds.concat(ownIds)));
+    }
+    return ownIds.length > 0 ? ownIds.slice() : inheritedIds.slice();
+}
+
+/**
+ * Lists counted assets whose end date falls within CONFIG.SCHEDULING.EXPIRY_WARNING_DAYS
+ * on results.expiringAssets, and records on results.expiryCoverageRisks the
+ * campaigns that drop below the minimum once those assets have ended.
+ */
+function checkAssetExpiry(results) {
+    const warningDate = addDays(results.today, CONFIG.SCHEDULING.EXPIRY_WARNING_DAYS);
+    const countedIds = new Set(Object.values(results.accountAssets).reduce((ids, list) => ids.concat(list), []));
+
+    for (const data of Object.values(results.campaignSummary)) {
+        Object.values(data.assets).forEach(list => list.forEach(id => countedIds.add(id)));
+        Object.values(data.adGroups).forEach(adGroup => {
+            Object.values(adGroup.assets).forEach(list => list.forEach(id => countedIds.add(id)));
+        });
+    }
+
+    results.expiringAssets = Array.from(countedIds)
+        .map(id => results.assets[id])
+        .filter(asset => asset.endDate && asset.endDate <= warningDate)
+        .map(asset => ({ assetId: asset.id, key: asset.key, endDate: asset.endDate, daysLeft: daysBetween(results.today, asset.endDate) }));
+
+    const isExpiring = id => results.expiringAssets.some(item => item.assetId === id);
+    results.expiryCoverageRisks = [];
+
+    for (const [campaignName, data] of Object.entries(results.campaignSummary)) {
+        extensionTypes.forEach(ext => {
+            const minimum = getThreshold(ext.key, 'campaign', data.channelType);
+            if (!isEligibleType(data, ext) || data.effectiveCount[ext.key] < minimum) return;
+
+            const afterExpiry = resolveCampaignAssets(ext, results.accountAssets[ext.key] || [], data, isExpiring).minimumCount;
+            if (afterExpiry >= minimum) return;
+
+            const servedIds = Object.values(data.adGroups).reduce((ids, adGroup) => ids.concat(adGroup.effective[ext.key]), data.effective[ext.key]);
+            const endDates = results.expiringAssets
+                .filter(item => item.key === ext.key && servedIds.indexOf(item.assetId) !== -1)
+                .map(item => item.endDate)
+                .sort();
+
+            results.expiryCoverageRisks.push({
+                campaign: campaignName,
+                key: ext.key,
+                current: data.effectiveCount[ext.key],
+                afterExpiry: afterExpiry,
+                minimum: minimum,
+                endDate: endDates[0]
+            });
+            data.issues.push({
+                type: 'coverage_after_expiry',
+                severity: 'medium',
+                extensionType: ext.type.toLowerCase(),
+                message: `${ext.label} drop to ${afterExpiry} (minimum ${minimum}) when assets end on ${endDates[0]}`
+            });
+        });
+    }
+}
+
+/**
+ * Reads the positive AD_SCHEDULE criteria of every audited campaign onto
+ * campaignSummary[name].adSchedule. Campaigns without any run all week.
+ */
+function collectCampaignAdSchedules(results, budget) {
+    Object.values(results.campaignSummary).forEach(data => {
+        data.adSchedule = [];
+    });
+    if (skipForTimeBudget(results, budget, 'ad schedules')) return;
+
+    try {
+        var rows = runReport(`
+          SELECT 
+            campaign.name,
+            campaign_criterion.ad_schedule.day_of_week,
+            campaign_criterion.ad_schedule.start_hour,
+            campaign_criterion.ad_schedule.start_minute,
+            campaign_criterion.ad_schedule.end_hour,
+            campaign_criterion.ad_schedule.end_minute
+          FROM campaign_criterion 
+          WHERE campaign_criterion.type = 'AD_SCHEDULE'
+          AND campaign_criterion.negative = FALSE
+          AND ${getCampaignStatusCondition()}`).rows();
+
+        while (rows.hasNext()) {
+            var row = rows.next();
+            var data = results.campaignSummary[row['campaign.name']];
+            if (!data) continue;
+
+            data.adSchedule.push({
+                dayOfWeek: row['campaign_criterion.ad_schedule.day_of_week'],
+                startHour: row['campaign_criterion.ad_schedule.start_hour'],
+                startMinute: row['campaign_criterion.ad_schedule.start_minute'],
+                endHour: row['campaign_criterion.ad_schedule.end_hour'],
+                endMinute: row['campaign_criterion.ad_schedule.end_minute']
+            });
+        }
+    } catch (e) {
+        Logger.log(`Error collecting campaign ad schedules: ${e}`);
+    }
+}
+
+/**
+ * Compares each campaign's ad schedule with the schedules of its eligible
+ * sitelinks, callouts and promotions. Records assets whose windows never overlap
+ * the campaign's (results.scheduleConflicts) and the times the campaign runs
+ * with fewer than the minimum sitelinks eligible (results.scheduleGaps).
+ */
+function checkScheduleAlignment(results) {
+    const scheduledKeys = ['sitelinks', 'callouts', 'promotions'];
+    const sitelinkExt = extensionTypes.find(ext => ext.key === 'sitelinks');
+
+    results.scheduleConflicts = [];
+    results.scheduleGaps = [];
+
+    for (const [campaignName, data] of Object.entries(results.campaignSummary)) {
+        const campaignSlots = getScheduleSlots(data.adSchedule);
+
+        scheduledKeys.filter(key => data.profile.eligibleTypes.indexOf(key) !== -1).forEach(key => {
+            const servedIds = Object.values(data.adGroups).reduce((ids, adGroup) => ids.concat(adGroup.effective[key]), data.effective[key]);
+
+            Array.from(new Set(servedIds)).forEach(assetId => {
+                const assetSlots = getScheduleSlots(results.assets[assetId].adScheduleTargets);
+                if (assetSlots.some((active, slot) => active && campaignSlots[slot])) return;
+
+                results.scheduleConflicts.push({ campaign: campaignName, assetId: assetId, key: key });
+                data.issues.push({
+                    type: 'schedule_conflict',
+                    severity: 'medium',
+                    assetId: assetId,
+                    extensionType: results.assets[assetId].type.toLowerCase(),
+                    message: `${describeAsset(results.assets[assetId])} can never serve: its schedule doesn't overlap the campaign's ad schedule`
+                });
+            });
+        });
+
+        // Coverage gaps only matter when the campaign has enough sitelinks on paper
+        const minimumSitelinks = getThreshold('sitelinks', 'campaign', data.channelType);
+        if (!isEligibleType(data, sitelinkExt) || data.effectiveCount.sitelinks < minimumSitelinks) continue;
+
+        const sitelinkSlots = data.effective.sitelinks.map(id => getScheduleSlots(results.assets[id].adScheduleTargets));
+        const eligibleCounts = campaignSlots.map((active, slot) =>
+            active ? sitelinkSlots.filter(slots => slots[slot]).length : null);
+        const windows = mergeScheduleSlots(eligibleCounts, count => count !== null && count < minimumSitelinks);
+
+        if (windows.length > 0) {
+            results.scheduleGaps.push({ campaign: campaignName, windows: windows, minimum: minimumSitelinks });
+            data.issues.push({
+                type: 'schedule_gap',
+                severity: 'medium',
+                extensionType: 'sitelink',
+                message: `Fewer than ${minimumSitelinks} sitelinks are eligible during: ${windows.map(formatScheduleWindow).join(', ')}`
+            });
+        }
+    }
+}
+
+var SCHEDULE_DAYS = ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'];
+var SCHEDULE_MINUTES = { ZERO: 0, FIFTEEN: 15, THIRTY: 30, FORTY_FIVE: 45 };
+var SLOTS_PER_DAY = 96;
+
+// Turns ad schedule entries into 7 x 96 quarter-hour slots; no entries means always on
+function getScheduleSlots(entries) {
+    const schedule = (entries || []).map(parseScheduleEntry).filter(entry => entry);
+    const slots = new Array(SCHEDULE_DAYS.length * SLOTS_PER_DAY).fill(schedule.length === 0);
+
+    schedule.forEach(entry => {
+        const dayIndex = SCHEDULE_DAYS.indexOf(entry.dayOfWeek);
+        const firstSlot = dayIndex * SLOTS_PER_DAY + entry.startHour * 4 + entry.startMinute / 15;
+        const lastSlot = dayIndex * SLOTS_PER_DAY + entry.endHour * 4 + entry.endMinute / 15;
+
+        for (let slot = firstSlot; slot < lastSlot; slot++) {
+            slots[slot] = true;
+        }
+    });
+
+    return slots;
+}
+
+/**
+ * Ad schedule entries arrive as objects (camelCase or snake_case keys, see
+ * parseListValue) or as one whole serialized entry. Entries without a day
+ * and both hours are skipped rather than read as an empty 0:00–0:00 window.
+ */
+function parseScheduleEntry(entry) {
+    if (typeof entry === 'string') {
+        const text = entry.trim();
+        if (text.charAt(0) !== '{') return null;
+        try {
+            entry = JSON.parse(text);
+        } catch (e) {
+            entry = parseReportObject(text);
+        }
+    }
+
+    const dayOfWeek = entry.dayOfWeek || entry.day_of_week;
+    if (SCHEDULE_DAYS.indexOf(dayOfWeek) === -1) return null;
+
+    const startHour = entry.startHour !== undefined ? entry.startHour : entry.start_hour;
+    const endHour = entry.endHour !== undefined ? entry.endHour : entry.end_hour;
+    if (startHour === undefined || endHour === undefined) return null;
+
+    const toMinutes = value => SCHEDULE_MINUTES[value] !== undefined ? SCHEDULE_MINUTES[value] : Number(value) || 0;
+
+    return {
+        dayOfWeek: dayOfWeek,
+        startHour: Number(startHour) || 0,
+        startMinute: toMinutes(entry.startMinute !== undefined ? entry.startMinute : entry.start_minute),
+        endHour: Number(endHour) || 0,
+        endMinute: toMinutes(entry.endMinute !== undefined ? entry.endMinute : entry.end_minute)
+    };
+}
+
+// Merges consecutive slots matching the predicate into per-day windows, keeping the lowest value seen
+function mergeScheduleSlots(values, predicate) {
+    const windows = [];
+    let current = null;
+
+    values.forEach((value, slot) => {
+        const startsNewDay = slot % SLOTS_PER_DAY === 0;
+
+        if (predicate(value) && current && !startsNewDay) {
+            current.endSlot = slot + 1;
+            current.value = Math.min(current.value, value);
+            return;
+        }
+        if (current) windows.push(current);
+        current = predicate(value) ? { startSlot: slot, endSlot: slot + 1, value: value } : null;
+    });
+    if (current) windows.push(current);
+
+    return windows.map(window => ({
+        dayOfWeek: SCHEDULE_DAYS[Math.floor(window.startSlot / SLOTS_PER_DAY)],
+        start: formatSlotTime(window.startSlot % SLOTS_PER_DAY),
+        end: formatSlotTime(window.endSlot - Math.floor(window.startSlot / SLOTS_PER_DAY) * SLOTS_PER_DAY),
+        eligible: window.value
+    }));
+}
+
+function formatSlotTime(slotOfDay) {
+    const hours = Math.floor(slotOfDay / 4);
+    const minutes = (slotOfDay % 4) * 15;
+    return `${hours < 10 ? '0' : ''}${hours}:${minutes === 0 ? '00' : minutes}`;
+}
+
+function formatScheduleWindow(window) {
+    const day = window.dayOfWeek.charAt(0) + window.dayOfWeek.slice(1).toLowerCase();
+    return `${day} ${window.start}–${window.end} (${window.eligible} eligible)`;
+}
+
+function addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+function daysBetween(fromDateString, toDateString) {
+    return Math.round((new Date(`${toDateString}T00:00:00Z`) - new Date(`${fromDateString}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Measures every asset text against the limits in extensionTypes[].characterLimits
+ * and records assets with texts that are over the limit or close to it on
+ * results.textIssues: one finding per asset with its texts and the levels it
+ * is linked at, whatever the number of links.
+ */
+function validateTextLimits(results) {
+    results.textIssues = [];
+
+    Object.values(results.assets).forEach(asset => {
+        const ext = extensionTypes.find(type => type.key === asset.key);
+        if (!ext || !ext.characterLimits) return;
+
+        const texts = [];
+        Object.entries(ext.characterLimits).forEach(([fieldName, limit]) => {
+            const values = Array.isArray(asset[fieldName]) ? asset[fieldName] : [asset[fieldName]];
+
+            values.filter(text => text).forEach(text => {
+                const width = getDisplayWidth(text);
+                let status = null;
+
+                if (width > limit) {
+                    status = 'over';
+                } else if (width > limit - CONFIG.TEXT_LIMITS.NEAR_LIMIT_MARGIN) {
+                    status = 'near';
+                }
+
+                if (status) {
+                    texts.push({ field: fieldName, text: text, width: width, limit: limit, status: status });
+                }
+            });
+        });
+
+        if (texts.length === 0) return;
+
+        results.textIssues.push({
+            assetId: asset.id,
+            key: asset.key,
+            status: texts.some(text => text.status === 'over') ? 'over' : 'near',
+            texts: texts,
+            levels: getAssetUsage(results, asset.id)
+        });
+    });
+}
+
+/**
+ * Checks each structured snippet against the predefined headers for
+ * CONFIG.SNIPPETS.LANGUAGE, the value count rules and duplicate or overlong
+ * values, and flags campaigns that only serve a single header.
+ */
+function checkStructuredSnippets(results) {
+    const ext = extensionTypes.find(type => type.type === 'STRUCTURED_SNIPPET');
+    const allowedHeaders = getSnippetHeaders(ext, CONFIG.SNIPPETS.LANGUAGE).map(header => header.toLowerCase());
+    results.snippetIssues = [];
+
+    Object.values(results.assets)
+        .filter(asset => asset.type === 'STRUCTURED_SNIPPET')
+        .forEach(asset => {
+            const addIssue = (type, severity, message) => {
+                results.snippetIssues.push({ assetId: asset.id, type: type, severity: severity, message: message });
+            };
+
+            if (allowedHeaders.indexOf(String(asset.header).trim().toLowerCase()) === -1) {
+                addIssue('invalid_header', 'high', `"${asset.header}" is not a predefined header for language "${CONFIG.SNIPPETS.LANGUAGE}"`);
+            }
+
+            if (asset.values.length < CONFIG.SNIPPETS.MIN_VALUES) {
+                addIssue('too_few_values', 'high', `Only ${asset.values.length} value(s); at least ${CONFIG.SNIPPETS.MIN_VALUES} are required`);
+            } else if (asset.values.length < CONFIG.SNIPPETS.RECOMMENDED_VALUES) {
+                addIssue('few_values', 'medium', `Only ${asset.values.length} values; ${CONFIG.SNIPPETS.RECOMMENDED_VALUES} or more recommended`);
+            }
+
+            const seenValues = {};
+            asset.values.forEach(value => {
+                const normalized = value.trim().toLowerCase().replace(/\s+/g, ' ');
+                if (seenValues[normalized]) {
+                    addIssue('duplicate_value', 'medium', `Value "${value}" is repeated`);
+                }
+                seenValues[normalized] = true;
+
+                if (getDisplayWidth(value) > ext.characterLimits.values) {
+                    addIssue('value_too_long', 'high', `Value "${value}" is over ${ext.characterLimits.values} characters`);
+                }
+            });
+        });
+
+    // Desktop can show two headers at once, so a single header wastes space
+    for (const data of Object.values(results.campaignSummary)) {
+        const headers = new Set(data.effective.snippets
+            .map(id => results.assets[id])
+            .filter(asset => asset)
+            .map(asset => String(asset.header).trim().toLowerCase()));
+
+        if (headers.size === 1 && data.profile.eligibleTypes.indexOf('snippets') !== -1) {
+            data.issues.push({
+                type: 'single_snippet_header',
+                severity: 'low',
+                extensionType: 'structured_snippet',
+                message: 'Structured snippets use only one header; add a second header so desktop ads can show two'
+            });
+        }
+    }
+}
+
+/**
+ * Checks the content rules of price, lead form and business logo assets that
+ * a count can't capture: price item count and currency, lead form privacy
+ * policy and questions, logo shape and size. Findings go to
+ * results.requirementIssues.
+ */
+function checkAssetRequirements(results) {
+    const price = extensionTypes.find(type => type.type === 'PRICE');
+    const logo = extensionTypes.find(type => type.type === 'BUSINESS_LOGO');
+    results.requirementIssues = [];
+
+    Object.values(results.assets).forEach(asset => {
+        const addIssue = (type, severity, message) => {
+            results.requirementIssues.push({ assetId: asset.id, key: asset.key, type: type, severity: severity, message: message });
+        };
+
+        if (asset.type === 'PRICE') {
+            if (asset.priceOfferings.length < price.requirements.minimumItems) {
+                addIssue('too_few_items', 'high', `Only ${asset.priceOfferings.length} item(s); price assets need at least ${price.requirements.minimumItems}`);
+            }
+
+            const currencies = Array.from(new Set(asset.priceOfferings
+                .map(offering => offering.currencyCode)
+                .filter(currency => currency)));
+            const foreign = currencies.filter(currency => currency !== results.currencyCode);
+            if (foreign.length > 0) {
+                addIssue('currency_mismatch', 'medium', `Prices are in ${foreign.join(', ')}; the account currency is ${results.currencyCode}`);
+            }
+        } else if (asset.type === 'LEAD_FORM') {
+            if (!asset.privacyPolicyUrl) {
+                addIssue('missing_privacy_policy', 'high', 'No privacy policy URL; lead forms can\'t serve without one');
+            }
+            if (asset.fields.length + asset.customQuestionFields.length === 0) {
+                addIssue('no_questions', 'high', 'The form has no questions');
+            }
+        } else if (asset.type === 'BUSINESS_LOGO' && asset.width && asset.height) {
+            const width = Number(asset.width);
+            const height = Number(asset.height);
+            if (width !== height) {
+                addIssue('logo_not_square', 'medium', `Logo is ${width}×${height}; business logos must be square (1:1)`);
+            }
+            if (Math.min(width, height) < logo.requirements.minimumSize) {
+                addIssue('logo_too_small', 'medium', `Logo is ${width}×${height}; at least ${logo.requirements.minimumSize}×${logo.requirements.minimumSize} is required`);
+            }
+        }
+    });
+}
+
+/**
+ * One item of asset.price_asset.price_offerings as parseListValue returns it
+ * from a report row:
+ *
+ *   {header=Basic, description=Starter plan, price={currency_code=EUR, amount_micros=19000000}, unit=PER_MONTH, final_url=https://…}
+ */
+function parsePriceOffering(offering) {
+    offering = offering && typeof offering === 'object' ? offering : {};
+    const price = offering.price && typeof offering.price === 'object' ? offering.price : {};
+
+    return {
+        header: offering.header || '',
+        description: offering.description || '',
+        currencyCode: price.currency_code || '',
+        amount: price.amount_micros ? Number(price.amount_micros) / 1000000 : null,
+        unit: offering.unit || '',
+        finalUrl: offering.final_url || ''
+    };
+}
+
+/**
+ * Finds exact and normalized duplicates (case, punctuation, whitespace) in
+ * sitelink and callout text within the account-level set, within each
+ * campaign's own effective set, and between account and campaign level.
+ * Findings go to results.duplicateTexts.
+ */
+function detectDuplicateTexts(results) {
+    const textFields = { sitelinks: 'linkText', callouts: 'text' };
+    results.duplicateTexts = [];
+
+    Object.entries(textFields).forEach(([key, fieldName]) => {
+        const getText = id => results.assets[id] ? String(results.assets[id][fieldName] || '') : '';
+        const accountIds = results.accountAssets[key] || [];
+
+        const addFinding = (scope, assetIds, campaigns) => {
+            const texts = Array.from(new Set(assetIds.map(getText)));
+            results.duplicateTexts.push({
+                key: key,
+                scope: scope,
+                match: texts.length === 1 ? 'exact' : 'normalized',
+                texts: texts,
+                assetIds: assetIds,
+                campaigns: campaigns
+            });
+        };
+
+        groupDuplicateIds(accountIds, getText).forEach(ids => addFinding('Account', ids, []));
+
+        // Cross-level collisions are grouped by text so each shows once with all its campaigns
+        const crossLevel = {};
+
+        for (const [campaignName, data] of Object.entries(results.campaignSummary)) {
+            const ownIds = data.assets[key] || [];
+            if (ownIds.length === 0) continue;
+
+            groupDuplicateIds(data.effective[key], getText).forEach(ids => addFinding('Campaign', ids, [campaignName]));
+
+            ownIds.forEach(id => {
+                const normalized = normalizeAssetText(getText(id));
+                if (!normalized) return;
+
+                accountIds
+                    .filter(accountId => accountId !== id && normalizeAssetText(getText(accountId)) === normalized)
+                    .forEach(accountId => {
+                        crossLevel[normalized] = crossLevel[normalized] || { assetIds: new Set(), campaigns: new Set() };
+                        crossLevel[normalized].assetIds.add(accountId);
+                        crossLevel[normalized].assetIds.add(id);
+                        crossLevel[normalized].campaigns.add(campaignName);
+                    });
+            });
+        }
+
+        Object.values(crossLevel).forEach(collision => {
+            addFinding('Account ↔ Campaign', Array.from(collision.assetIds), Array.from(collision.campaigns));
+        });
+    });
+}
+
+/**
+ * Checks every unique sitelink and promotion final URL for its HTTP status,
+ * redirect chain, HTTP-to-HTTPS redirects and soft-404 content. Each URL is
+ * fetched once per run; results.landingPages maps URL to its check result.
+ * URLs already in results.landingPages (from a checkpoint) aren't fetched again.
+ * URLs beyond CONFIG.LINK_CHECK.MAX_URLS are counted on results.uncheckedLandingPages,
+ * URLs not reached before the budget runs out on results.landingPagesLeftForTime.
+ *
+ * @param {Object} results Audit results holding the collected assets
+ * @param {Object} fetcher Anything with UrlFetchApp's fetch(url, params)
+ *     signature, so a stub server can stand in for the real web
+ * @param {Object=} budget Time budget; URLs not reached in time are left for the next run
+ */
+function checkLandingPages(results, fetcher, budget) {
+    const cache = {};
+    const unchecked = new Set();
+    const leftForTime = new Set();
+    const previousChecks = results.landingPages || {};
+
+    Object.values(results.assets)
+        .filter(asset => asset.finalUrls && asset.finalUrls.length > 0)
+        .forEach(asset => {
+            asset.finalUrls.forEach(url => {
+                if (!cache[url]) {
+                    if (Object.keys(cache).length >= CONFIG.LINK_CHECK.MAX_URLS) {
+                        unchecked.add(url);
+                        return;
+                    }
+                    if (previousChecks[url]) {
+                        cache[url] = previousChecks[url];
+                    } else if (skipForTimeBudget(results, budget, 'landing page checks')) {
+                        leftForTime.add(url);
+                        return;
+                    } else {
+                        cache[url] = fetchLandingPage(url, fetcher);
+                    }
+                    cache[url].assetIds = [];
+                }
+                cache[url].assetIds.push(asset.id);
+            });
+        });
+
+    results.landingPages = cache;
+    results.uncheckedLandingPages = unchecked.size;
+    results.landingPagesLeftForTime = leftForTime.size;
+    Logger.log(`Checked ${Object.keys(cache).length} landing page URL(s)` +
+        `${unchecked.size > 0 ? `, ${unchecked.size} skipped over the limit` : ''}` +
+        `${leftForTime.size > 0 ? `, ${leftForTime.size} left for the next run` : ''}`);
+}
+
+function fetchLandingPage(url, fetcher) {
+    const check = { url: url, status: null, finalUrl: url, redirects: [], httpsUpgrade: false, soft404: false, error: null, broken: false };
+    let currentUrl = url;
+
+    try {
+        for (let hop = 0; hop <= CONFIG.LINK_CHECK.MAX_REDIRECTS; hop++) {
+            const response = fetcher.fetch(currentUrl, { followRedirects: false, muteHttpExceptions: true });
+            const status = response.getResponseCode();
+            check.status = status;
+            check.finalUrl = currentUrl;
+
+            if (status >= 300 && status < 400) {
+                const headers = response.getHeaders();
+                const location = headers.Location || headers.location;
+                if (!location) break;
+
+                const nextUrl = resolveRedirectUrl(currentUrl, location);
+                check.redirects.push({ from: currentUrl, to: nextUrl, status: status });
+                if (/^http:/i.test(currentUrl) && /^https:/i.test(nextUrl)) {
+                    check.httpsUpgrade = true;
+                }
+                currentUrl = nextUrl;
+                continue;
+            }
+
+            if (status === 200) {
+                const body = response.getContentText();
+                check.soft404 = CONFIG.LINK_CHECK.SOFT_404_PATTERNS.some(pattern => pattern.test(body));
+            }
+            break;
+        }
+
+        if (check.status >= 300 && check.status < 400) {
+            check.error = `More than ${CONFIG.LINK_CHECK.MAX_REDIRECTS} redirects`;
+        }
+    } catch (e) {
+        check.error = String(e);
+    }
+
+    check.broken = !!check.error || check.status >= 400 || check.soft404;
+    return check;
+}
+
+function resolveRedirectUrl(baseUrl, location) {
+    if (/^https?:\/\//i.test(location)) return location;
+
+    const origin = baseUrl.match(/^(https?:\/\/[^\/]+)/i)[1];
+    if (location.indexOf('//') === 0) return baseUrl.split(':')[0] + ':' + location;
+    if (location.charAt(0) === '/') return origin + location;
+    return baseUrl.replace(/[^\/]*([?#].*)?$/, '') + location;
+}
+
+function describeLandingPageProblem(check) {
+    if (check.error) return check.error;
+    if (check.status >= 400) return `HTTP ${check.status}`;
+    if (check.soft404) return 'Error page served with HTTP 200 (soft 404)';
+    if (check.redirects.length > 1) return `Redirect chain of ${check.redirects.length} hops`;
+    if (check.httpsUpgrade) return 'Redirects from HTTP to HTTPS';
+    if (check.redirects.length === 1) return `Redirects to ${check.finalUrl}`;
+    return '';
+}
+
+// Groups asset ids whose normalized text is equal, returning only groups of two or more
+function groupDuplicateIds(assetIds, getText) {
+    const groups = {};
+
+    assetIds.forEach(id => {
+        const normalized = normalizeAssetText(getText(id));
+        if (!normalized) return;
+        groups[normalized] = groups[normalized] || [];
+        if (groups[normalized].indexOf(id) === -1) groups[normalized].push(id);
+    });
+
+    return Object.values(groups).filter(ids => ids.length > 1);
+}
+
+function normalizeAssetText(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+function getSnippetHeaders(ext, language) {
+    if (language === 'en') return ext.requirements.headers;
+
+    if (!ext.requirements.localizedHeaders[language]) {
+        Logger.log(`No predefined snippet headers for language "${language}", falling back to English`);
+        return ext.requirements.headers;
+    }
+    return ext.requirements.localizedHeaders[language];
+}
+
+// Display width of a text where wide and fullwidth (CJK) characters count as 2
+function getDisplayWidth(text) {
+    let width = 0;
+    for (const character of String(text)) {
+        width += isDoubleWidth(character.codePointAt(0)) ? 2 : 1;
+    }
+    return width;
+}
+
+function isDoubleWidth(codePoint) {
+    return (codePoint >= 0x1100 && codePoint <= 0x115F) ||   // Hangul Jamo
+        (codePoint >= 0x2E80 && codePoint <= 0x303E) ||      // CJK radicals, punctuation
+        (codePoint >= 0x3041 && codePoint <= 0x33FF) ||      // Kana, CJK compatibility
+        (codePoint >= 0x3400 && codePoint <= 0x4DBF) ||      // CJK extension A
+        (codePoint >= 0x4E00 && codePoint <= 0x9FFF) ||      // CJK unified ideographs
+        (codePoint >= 0xA000 && codePoint <= 0xA4CF) ||      // Yi
+        (codePoint >= 0xAC00 && codePoint <= 0xD7A3) ||      // Hangul syllables
+        (codePoint >= 0xF900 && codePoint <= 0xFAFF) ||      // CJK compatibility ideographs
+        (codePoint >= 0xFE30 && codePoint <= 0xFE4F) ||      // CJK compatibility forms
+        (codePoint >= 0xFF00 && codePoint <= 0xFF60) ||      // Fullwidth forms
+        (codePoint >= 0xFFE0 && codePoint <= 0xFFE6) ||
+        (codePoint >= 0x20000 && codePoint <= 0x3FFFD);      // CJK extensions B and beyond
+}
+
+// Names of the places an asset is linked: "Account", campaigns and ad groups
+function getAssetUsage(results, assetId) {
+    const usage = [];
+
+    if (Object.values(results.accountAssets).some(ids => ids.indexOf(assetId) !== -1)) {
+        usage.push('Account');
+    }
+
+    for (const [campaignName, data] of Object.entries(results.campaignSummary)) {
+        if (Object.values(data.assets).some(ids => ids.indexOf(assetId) !== -1)) {
+            usage.push(campaignName);
+        }
+        for (const [adGroupName, adGroup] of Object.entries(data.adGroups)) {
+            if (Object.values(adGroup.assets).some(ids => ids.indexOf(assetId) !== -1)) {
+                usage.push(`${campaignName} › ${adGroupName}`);
+            }
+        }
+    }
+
+    return usage;
+}
+
+function flagMissingExtensions(results) {
+    for (const data of Object.values(results.campaignSummary)) {
+        extensionTypes.forEach(ext => {
+            const threshold = getThreshold(ext.key, 'campaign', data.channelType);
+            if (!isEligibleType(data, ext) || threshold === 0 || data.effectiveCount[ext.key] > 0) return;
+
+            const adGroupNames = Object.keys(data.adGroups);
+            const uncoveredAdGroups = adGroupNames.filter(name => data.adGroups[name].effective[ext.key].length === 0).length;
+
+            data.issues.push({
+                type: 'missing_extension',
+                severity: 'medium',
+                extensionType: ext.type.toLowerCase(),
+                message: uncoveredAdGroups < adGroupNames.length ?
+                    `No eligible ${ext.type.toLowerCase()} extensions in ${uncoveredAdGroups} of ${adGroupNames.length} ad groups (recommended: ${threshold})` :
+                    `No ${ext.type.toLowerCase()} extensions found (recommended: ${threshold})`
+            });
+        });
+    }
+}
+
+// Assets Google created from the website or ads (dynamic sitelinks, callouts, snippets, images)
+function isAutomaticAsset(results, assetId) {
+    const asset = results.assets[assetId];
+    return !!asset && asset.source === 'AUTOMATICALLY_CREATED';
+}
+
+/**
+ * Works out per campaign how many eligible assets the advertiser created
+ * (data.advertiserCount[key]) and flags types that only reach the campaign
+ * minimum because automatically created assets fill the gap. Google can
+ * remove or replace those at any time.
+ */
+function flagAutomaticCoverage(results) {
+    for (const data of Object.values(results.campaignSummary)) {
+        data.advertiserCount = {};
+
+        extensionTypes.forEach(ext => {
+            const resolved = resolveCampaignAssets(ext, results.accountAssets[ext.key] || [], data, id => isAutomaticAsset(results, id));
+            const threshold = getThreshold(ext.key, 'campaign', data.channelType);
+            data.advertiserCount[ext.key] = resolved.minimumCount;
+
+            if (!isEligibleType(data, ext) || threshold === 0 || data.effectiveCount[ext.key] < threshold || resolved.minimumCount >= threshold) return;
+
+            data.issues.push({
+                type: 'automatic_assets_only',
+                severity: 'low',
+                extensionType: ext.type.toLowerCase(),
+                message: `Reaches the ${ext.label.toLowerCase()} minimum (${threshold}) only with automatically created assets (${resolved.minimumCount} of your own)`
+            });
+        });
+    }
+}
+
+/**
+ * Reads which automatically created asset types the account is opted into
+ * (customer.asset_automation_settings) onto results.automationSettings. Older
+ * API versions don't have the field; the report then says the settings
+ * couldn't be read.
+ */
+function collectAutomationSettings(results, budget) {
+    results.automationSettings = null;
+    if (skipForTimeBudget(results, budget, 'automation settings')) return;
+
+    try {
+        const rows = runReport(`
+          SELECT 
+            customer.id,
+            customer.asset_automation_settings
+          FROM customer`).rows();
+
+        if (rows.hasNext()) {
+            results.automationSettings = parseListValue(rows.next()['customer.asset_automation_settings'])
+                .filter(setting => setting && typeof setting === 'object')
+                .map(setting => ({
+                    type: setting.asset_automation_type || setting.assetAutomationType,
+                    status: setting.asset_automation_status || setting.assetAutomationStatus
+                }))
+                .filter(setting => setting.type);
+        }
+    } catch (e) {
+        Logger.log(`Could not read asset automation settings: ${e}`);
+    }
+}
+
+/**
+ * Finds enabled feed-based extensions of the types that have feedFields and
+ * where they are linked. Asset queries don't return these, so accounts that
+ * never migrated look empty without this check. Two generations are read:
+ *
+ *   extension_feed_item  linked through customer, campaign and ad group
+ *                        extension settings
+ *   feed_item            items of placeholder feeds (feed_mapping), linked as
+ *                        a whole feed through customer, campaign and ad
+ *                        group feeds; matching functions aren't evaluated
+ *
+ * Each item on results.legacyFeedItems carries the asset field names of its
+ * type plus the levels it is linked at; results.legacyFeedCampaigns lists the
+ * audited campaigns that still serve them, by extension type. Resources that
+ * couldn't be read (newer API versions dropped them) are listed on
+ * results.legacyFeedErrors so the report can say the check is incomplete.
+ */
+function collectLegacyFeedItems(results, budget) {
+    const feedTypes = extensionTypes.filter(ext => ext.feedFields);
+    const byResourceName = {};
+    const feedMappings = {};
+    const itemsByFeed = {};
+    results.legacyFeedItems = [];
+    results.legacyFeedCampaigns = {};
+    results.legacyFeedErrors = [];
+
+    const readRows = (resource, query, onRow) => {
+        if (skipForTimeBudget(results, budget, 'feed-based extensions')) return;
+        try {
+            const rows = runReport(query).rows();
+            while (rows.hasNext()) onRow(rows.next());
+        } catch (e) {
+            Logger.log(`Could not read ${resource}: ${e}`);
+            results.legacyFeedErrors.push(resource);
+        }
+    };
+    const createItem = (id, ext) => {
+        const item = { id: id, type: ext.type, key: ext.key, levels: [] };
+        ext.feedFields.forEach(feedField => {
+            item[feedField.name] = feedField.list ? [] : '';
+        });
+        results.legacyFeedItems.push(item);
+        return item;
+    };
+    const addLevel = (item, level) => {
+        if (item.levels.indexOf(level) === -1) item.levels.push(level);
+    };
+
+    const fields = Array.from(new Set(feedTypes.reduce((list, ext) => list.concat(ext.feedFields.map(feedField => feedField.field)), [])));
+    readRows('extension_feed_item', `
+          SELECT 
+            extension_feed_item.resource_name,
+            extension_feed_item.id,
+            extension_feed_item.extension_type,
+            ${fields.join(',\n            ')}
+          FROM extension_feed_item 
+          WHERE extension_feed_item.status = 'ENABLED'
+          AND extension_feed_item.extension_type IN (${feedTypes.map(ext => `'${ext.type}'`).join(', ')})`, row => {
+        const ext = feedTypes.find(type => type.type === row['extension_feed_item.extension_type']);
+        if (!ext) return;
+
+        const item = createItem(row['extension_feed_item.id'], ext);
+        ext.feedFields.forEach(feedField => {
+            const value = row[feedField.field];
+            item[feedField.name] = feedField.list ? parseListValue(value) : (value === undefined || value === null ? '' : value);
+        });
+        byResourceName[row['extension_feed_item.resource_name']] = item;
+    });
+
+    // Placeholder feeds map feed attributes to fields such as sitelink_field=TEXT
+    readRows('feed_mapping', `
+          SELECT 
+            feed_mapping.feed,
+            feed_mapping.placeholder_type,
+            feed_mapping.attribute_field_mappings
+          FROM feed_mapping 
+          WHERE feed_mapping.status = 'ENABLED'
+          AND feed_mapping.placeholder_type IN (${feedTypes.map(ext => `'${ext.type}'`).join(', ')})`, row => {
+        const ext = feedTypes.find(type => type.type === row['feed_mapping.placeholder_type']);
+        if (!ext) return;
+
+        const fieldKey = `${ext.type.toLowerCase()}_field`;
+        const names = {};
+        parseListValue(row['feed_mapping.attribute_field_mappings']).forEach(mapping => {
+            if (mapping && typeof mapping === 'object' && ext.feedItemFields[mapping[fieldKey]]) {
+                names[mapping.feed_attribute_id] = ext.feedItemFields[mapping[fieldKey]];
+            }
+        });
+        feedMappings[row['feed_mapping.feed']] = { ext: ext, names: names };
+    });
+
+    if (Object.keys(feedMappings).length > 0) {
+        readRows('feed_item', `
+          SELECT 
+            feed_item.resource_name,
+            feed_item.feed,
+            feed_item.attribute_values
+          FROM feed_item 
+          WHERE feed_item.status = 'ENABLED'
+          AND feed_item.feed IN (${Object.keys(feedMappings).map(feed => `'${feed}'`).join(', ')})`, row => {
+            const mapping = feedMappings[row['feed_item.feed']];
+            if (!mapping) return;
+
+            // customers/{customer_id}/feedItems/{feed_id}~{feed_item_id}
+            const item = createItem(String(row['feed_item.resource_name']).split('/').pop(), mapping.ext);
+            parseListValue(row['feed_item.attribute_values']).forEach(value => {
+                const name = value && typeof value === 'object' ? mapping.names[value.feed_attribute_id] : null;
+                if (!name) return;
+
+                const list = value.string_values || value.integer_values;
+                item[name] = Array.isArray(item[name]) ?
+                    (Array.isArray(list) ? list : [value.string_value].filter(text => text)) :
+                    (value.string_value || value.integer_value || '');
+            });
+            (itemsByFeed[row['feed_item.feed']] = itemsByFeed[row['feed_item.feed']] || []).push(item);
+        });
+    }
+
+    if (results.legacyFeedItems.length === 0) {
+        if (results.legacyFeedErrors.length > 0) Logger.log(`Feed-based extensions: none found, but ${results.legacyFeedErrors.join(', ')} couldn't be read`);
+        return;
+    }
+
+    const auditedNames = Object.keys(results.campaignSummary);
+    const isAudited = level => level === 'Account' || auditedNames.indexOf(level.split(' › ')[0]) !== -1;
+    const linkLevels = [
+        { prefix: 'customer', fields: [], level: () => 'Account' },
+        { prefix: 'campaign', fields: ['campaign.name'], level: row => row['campaign.name'] },
+        { prefix: 'ad_group', fields: ['campaign.name', 'ad_group.name'], level: row => `${row['campaign.name']} › ${row['ad_group.name']}` }
+    ];
+
+    linkLevels.forEach(link => {
+        const condition = link.fields.length > 0 ? ` 
+              WHERE ${getCampaignStatusCondition()}` : '';
+
+        if (Object.keys(byResourceName).length > 0) {
+            const resource = `${link.prefix}_extension_setting`;
+            readRows(resource, `
+              SELECT 
+                ${link.fields.concat([`${resource}.extension_type`, `${resource}.extension_feed_items`]).join(',\n                ')}
+              FROM ${resource}${condition}`, row => {
+                const level = link.level(row);
+                if (!isAudited(level)) return;
+
+                parseListValue(row[`${resource}.extension_feed_items`]).forEach(resourceName => {
+                    if (byResourceName[resourceName]) addLevel(byResourceName[resourceName], level);
+                });
+            });
+        }
+
+        if (Object.keys(itemsByFeed).length > 0) {
+            const resource = `${link.prefix}_feed`;
+            readRows(resource, `
+              SELECT 
+                ${link.fields.concat([`${resource}.feed`, `${resource}.placeholder_types`]).join(',\n                ')}
+              FROM ${resource} 
+              WHERE ${resource}.status = 'ENABLED'${link.fields.length > 0 ? `
+              AND ${getCampaignStatusCondition()}` : ''}`, row => {
+                const level = link.level(row);
+                const placeholderTypes = parseListValue(row[`${resource}.placeholder_types`]);
+                if (!isAudited(level)) return;
+
+                (itemsByFeed[row[`${resource}.feed`]] || [])
+                    .filter(item => placeholderTypes.indexOf(item.type) !== -1)
+                    .forEach(item => addLevel(item, level));
+            });
+        }
+    });
+
+    results.legacyFeedItems.forEach(item => {
+        const ext = feedTypes.find(type => type.key === item.key);
+        getLevelCampaigns(results, item.levels)
+            .filter(campaignName => isEligibleType(results.campaignSummary[campaignName], ext))
+            .forEach(campaignName => {
+                const types = results.legacyFeedCampaigns[campaignName] = results.legacyFeedCampaigns[campaignName] || {};
+                types[item.key] = (types[item.key] || 0) + 1;
+            });
+    });
+
+    Logger.log(`Feed-based extensions: ${results.legacyFeedItems.length} item(s), used by ${Object.keys(results.legacyFeedCampaigns).length} campaign(s)`);
+}
+
+/**
+ * Scores every campaign 0–100 from CONFIG.HEALTH_SCORE and stores the
+ * per-type breakdown on results.healthScores. Each component is a 0–1 ratio;
+ * a type without eligible assets scores like its coverage on every component.
+ * Campaigns that use none of the extension types get no score. The account
+ * score is the cost-weighted average of the campaign scores, or the plain
+ * average when nothing was spent.
+ */
+function calculateHealthScores(results) {
+    const componentWeights = CONFIG.HEALTH_SCORE.COMPONENT_WEIGHTS;
+    const components = Object.keys(componentWeights).filter(component => componentWeights[component] > 0);
+    const componentTotal = components.reduce((sum, component) => sum + componentWeights[component], 0);
+
+    const flaggedIds = new Set([]
+        .concat(results.textIssues.filter(issue => issue.status === 'over').map(issue => issue.assetId))
+        .concat(results.snippetIssues.map(issue => issue.assetId))
+        .concat(results.requirementIssues.map(issue => issue.assetId))
+        .concat(...results.duplicateTexts.map(finding => finding.assetIds))
+        .concat(...Object.values(results.landingPages || {}).filter(check => check.broken).map(check => check.assetIds)));
+
+    results.healthScores = { account: null, campaigns: {} };
+
+    Object.entries(results.campaignSummary).forEach(([campaignName, data]) => {
+        const appliesTo = level => level === 'Account' || level === campaignName || level.indexOf(`${campaignName} › `) === 0;
+        const eligibleTypes = extensionTypes.filter(ext => isEligibleType(data, ext));
+        const types = {};
+
+        eligibleTypes.forEach(ext => {
+            const threshold = getThreshold(ext.key, 'campaign', data.channelType);
+            const assetIds = data.effective[ext.key];
+            const coverage = threshold > 0 ? Math.min(1, data.effectiveCount[ext.key] / threshold) : 1;
+            const shareOf = isFine => assetIds.length > 0 ? assetIds.filter(isFine).length / assetIds.length : coverage;
+
+            const heldBack = results.excludedAssets
+                .filter(item => item.key === ext.key && (item.reason === 'disapproved' || item.reason === 'limited') && appliesTo(item.level))
+                .map(item => item.assetId);
+            const underperforming = results.underperformingAssets
+                .filter(item => item.key === ext.key && appliesTo(item.level))
+                .map(item => item.assetId);
+            const conflicting = results.scheduleConflicts
+                .filter(conflict => conflict.campaign === campaignName)
+                .map(conflict => conflict.assetId);
+
+            const ratios = {
+                coverage: coverage,
+                quality: shareOf(id => !flaggedIds.has(id) && conflicting.indexOf(id) === -1),
+                policy: assetIds.length + heldBack.length > 0 ? assetIds.length / (assetIds.length + new Set(heldBack).size) : coverage,
+                performance: shareOf(id => underperforming.indexOf(id) === -1)
+            };
+
+            types[ext.key] = Object.assign({}, ratios, {
+                score: componentTotal > 0 ?
+                    components.reduce((sum, component) => sum + componentWeights[component] * ratios[component], 0) / componentTotal * 100 : 100
+            });
+        });
+
+        const typeTotal = eligibleTypes.reduce((sum, ext) => sum + CONFIG.HEALTH_SCORE.TYPE_WEIGHTS[ext.key], 0);
+        results.healthScores.campaigns[campaignName] = {
+            score: typeTotal > 0 ?
+                Math.round(eligibleTypes.reduce((sum, ext) => sum + CONFIG.HEALTH_SCORE.TYPE_WEIGHTS[ext.key] * types[ext.key].score, 0) / typeTotal) : null,
+            types: types
+        };
+    });
+
+    const scored = Object.entries(results.healthScores.campaigns)
+        .filter(([campaignName, health]) => health.score !== null)
+        .map(([campaignName, health]) => ({ score: health.score, cost: results.campaignSummary[campaignName].stats.cost }));
+    const totalCost = scored.reduce((sum, item) => sum + item.cost, 0);
+
+    if (scored.length > 0) {
+        results.healthScores.account = Math.round(totalCost > 0 ?
+            scored.reduce((sum, item) => sum + item.score * item.cost, 0) / totalCost :
+            scored.reduce((sum, item) => sum + item.score, 0) / scored.length);
+    }
+
+    Logger.log(`Extension health score: ${results.healthScores.account === null ? 'n/a' : results.healthScores.account}`);
+}
+
+/**
+ * Output sinks receive the export as named tabs of rows, header row first:
+ *
+ *   writeTab(name, rows)  replaces the contents of the tab
+ *   getUrl()              where the output can be opened, or null
+ *
+ * Without a spreadsheet URL the sink creates a spreadsheet named after the
+ * account once and keeps its URL in `urlStore` (a snapshot store), so later
+ * runs overwrite the same one.
+ */
+function createSpreadsheetSink(spreadsheetUrl, accountName, spreadsheetApp, urlStore) {
+    const openStored = () => {
+        const stored = urlStore.load();
+        if (!stored) return null;
+        try {
+            return spreadsheetApp.openByUrl(stored.url);
+        } catch (e) {
+            Logger.log(`⚠️ Couldn't open the previously created spreadsheet ${stored.url}: ${e}`);
+            return null;
+        }
+    };
+
+    let spreadsheet = spreadsheetUrl ? spreadsheetApp.openByUrl(spreadsheetUrl) : openStored();
+    if (!spreadsheet) {
+        spreadsheet = spreadsheetApp.create(`${CONFIG.SHEETS.NAME} - ${accountName}`);
+        urlStore.save({ url: spreadsheet.getUrl() });
+        Logger.log(`📄 Created spreadsheet ${spreadsheet.getUrl()}; later runs will update it`);
+    }
+
+    return {
+        writeTab: (name, rows) => {
+            const sheet = spreadsheet.getSheetByName(name) || spreadsheet.insertSheet(name);
+            sheet.clearContents();
+            if (rows.length === 0) return;
+
+            sheet.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+            sheet.setFrozenRows(1);
+        },
+        getUrl: () => spreadsheet.getUrl()
+    };
+}
+
+/**
+ * Writes the audit to a sink as four tabs: account-level counts, the
+ * campaign × extension type matrix, every issue with its severity and the
+ * action plan. Returns the sink's URL for linking from the email.
+ */
+function exportAuditResults(results, sink) {
+    sink.writeTab('Account', [['Extension Type', 'Active Count', 'Automatic', 'Recommended', 'Status']].concat(
+        extensionTypes.map(ext => {
+            if (ext.campaignLevelOnly) return [ext.label, 'N/A', 'N/A', 'N/A', 'Campaign level only'];
+
+            const threshold = getThreshold(ext.key, 'account');
+            const automatic = (results.accountAssets[ext.key] || []).filter(id => isAutomaticAsset(results, id)).length;
+            if (threshold === 0) return [ext.label, results.summary[ext.key], automatic, 'Optional', results.summary[ext.key] > 0 ? 'OK' : 'Not used'];
+            return [ext.label, results.summary[ext.key], automatic, threshold, results.summary[ext.key] >= threshold ? 'OK' : 'Below minimum'];
+        })));
+
+    sink.writeTab('Campaigns', [['Campaign', 'Campaign ID', 'Campaign Type', 'Status', 'Health Score']
+        .concat(extensionTypes.map(ext => ext.label), ['Below Minimum'])].concat(
+        Object.entries(results.campaignSummary).map(([campaignName, data]) => {
+            const eligibleTypes = extensionTypes.filter(ext => isEligibleType(data, ext));
+            const belowMinimum = eligibleTypes
+                .filter(ext => data.effectiveCount[ext.key] < getThreshold(ext.key, 'campaign', data.channelType))
+                .map(ext => ext.label);
+
+            const healthScore = results.healthScores.campaigns[campaignName].score;
+            return [campaignName, data.id, data.profile.label, data.status, healthScore === null ? 'N/A' : healthScore]
+                .concat(extensionTypes.map(ext => eligibleTypes.indexOf(ext) !== -1 ? data.effectiveCount[ext.key] : 'N/A'))
+                .concat([belowMinimum.join(', ')]);
+        })));
+
+    sink.writeTab('Issues', [['Severity', 'Category', 'Campaign', 'Extension Type', 'Message']].concat(
+        getAuditIssues(results).map(issue => [issue.severity, issue.category, issue.campaign, issue.extensionType, issue.message])));
+
+    sink.writeTab('Action Plan', [['Rank', 'Priority', 'Type', 'Campaign', 'Action', 'Spend', 'Conversions', 'Tip']].concat(
+        getActionItems(results).map((item, index) => [
+            index + 1, item.priority, item.type, toPlainText(item.campaign || ''), toPlainText(item.action),
+            Number(item.spend.toFixed(2)), Number(item.conversions.toFixed(1)), item.tip
+        ])));
+
+    Logger.log('✅ Exported audit results');
+    return sink.getUrl();
+}
+
+/**
+ * Flattens the findings of every check into one list of plain-text issues.
+ * Each issue has a key that stays the same between runs while the finding
+ * persists, so snapshots can tell resolved issues from new ones.
+ */
+function getAuditIssues(results) {
+    const issues = [];
+    const labelOf = key => extensionTypes.find(ext => ext.key === key).label;
+    const add = (key, severity, category, campaign, extensionType, message) => issues.push({
+        key: key,
+        severity: severity,
+        category: category,
+        campaign: campaign,
+        extensionType: extensionType,
+        message: toPlainText(message)
+    });
+    const describe = assetId => toPlainText(describeAsset(results.assets[assetId]));
+    const usage = assetId => getAssetUsage(results, assetId).join(', ');
+
+    results.issues.forEach(issue => add(`account:${issue.type}`, issue.severity, 'Account', '', '', issue.message));
+
+    Object.entries(results.campaignSummary).forEach(([campaignName, data]) => {
+        data.issues.forEach(issue => {
+            const ext = extensionTypes.find(type => type.type.toLowerCase() === issue.extensionType);
+            add(`campaign:${campaignName}:${issue.type}:${issue.extensionType || ''}:${issue.assetId || ''}`,
+                issue.severity, 'Campaign', campaignName, ext ? ext.label : '', issue.message);
+        });
+    });
+
+    const exclusionSeverity = { disapproved: 'high', limited: 'medium', expired: 'low', scheduled: 'low' };
+    results.excludedAssets.forEach(item => add(
+        `${item.reason}:${item.level}:${item.assetId}`,
+        exclusionSeverity[item.reason], 'Policy & Expiry', item.level, labelOf(item.key), describeExclusion(results, item)));
+
+    results.expiringAssets.forEach(item => add(
+        `expiring:${item.assetId}`,
+        'low', 'Policy & Expiry', usage(item.assetId), labelOf(item.key), `${describe(item.assetId)} ends on ${item.endDate} (${item.daysLeft} days left)`));
+
+    results.textIssues.forEach(issue => add(
+        `text:${issue.assetId}`,
+        issue.status === 'over' ? 'high' : 'low', 'Text Length', issue.levels.join(', '), labelOf(issue.key),
+        issue.texts.map(text => `${text.field} "${text.text}" is ${text.width}/${text.limit} characters`).join('; ')));
+
+    results.snippetIssues.forEach(issue => add(
+        `snippet:${issue.assetId}:${issue.type}`, issue.severity, 'Structured Snippets', usage(issue.assetId), 'Snippets', issue.message));
+
+    results.requirementIssues.forEach(issue => add(
+        `requirement:${issue.assetId}:${issue.type}`, issue.severity, 'Asset Requirements', usage(issue.assetId), labelOf(issue.key),
+        `${describe(issue.assetId)}: ${issue.message}`));
+
+    results.duplicateTexts.forEach(finding => add(
+        `duplicate:${finding.key}:${finding.assetIds.join(',')}`,
+        'low', 'Duplicate Text', finding.campaigns.join(', '), labelOf(finding.key),
+        `${finding.match === 'exact' ? 'Exact' : 'Normalized'} duplicate: ${finding.texts.map(text => `"${text}"`).join(', ')}`));
+
+    Object.values(results.landingPages || {})
+        .filter(check => check.broken || check.redirects.length > 0)
+        .forEach(check => add(
+            `landing:${check.url}`,
+            check.broken ? 'high' : 'low', 'Landing Pages', check.assetIds.map(usage).join(', '), '',
+            `${check.url}: ${describeLandingPageProblem(check)}`));
+
+    results.underperformingAssets.forEach(item => add(
+        `underperforming:${item.level}:${item.assetId}`,
+        'low', 'Performance', item.level, labelOf(item.key), `${describe(item.assetId)}: ${item.reason}`));
+
+    results.legacyFeedItems.forEach(item => add(
+        `feed:${item.id}`,
+        'medium', 'Feed-Based Extensions', item.levels.join(', '), labelOf(item.key),
+        `${toPlainText(describeAsset(item))} is a feed item; migrate it to an asset`));
+
+    return issues;
+}
+
+// Plain-text reason an entry of results.excludedAssets doesn't serve
+function describeExclusion(results, item) {
+    const asset = toPlainText(describeAsset(results.assets[item.assetId]));
+    return item.reason === 'scheduled' ?
+        `${asset} doesn't start until ${results.assets[item.assetId].startDate}` :
+        `${asset} is ${item.reason}`;
+}
+
+/**
+ * Snapshot stores keep the snapshot of the previous run:
+ *
+ *   load()          the stored snapshot, or null before the first run
+ *   save(snapshot)  replaces the stored snapshot
+ *   clear()         removes the stored snapshot
+ *
+ * The Drive store keeps one JSON file per account so manager account runs
+ * don't overwrite each other; `kind` separates the alert snapshots and the
+ * time budget checkpoint from the report history.
+ */
+function createDriveSnapshotStore(driveApp, kind) {
+    const fileName = `${CONFIG.HISTORY.FILE_PREFIX}${kind ? ` ${kind}` : ''} ${AdsApp.currentAccount().getCustomerId()}.json`;
+    const findFile = () => {
+        const files = driveApp.getFilesByName(fileName);
+        return files.hasNext() ? files.next() : null;
+    };
+
+    return {
+        load: () => {
+            const file = findFile();
+            return file ? JSON.parse(file.getBlob().getDataAsString()) : null;
+        },
+        save: snapshot => {
+            const file = findFile();
+            if (file) {
+                file.setContent(JSON.stringify(snapshot));
+            } else {
+                driveApp.createFile(fileName, JSON.stringify(snapshot), 'application/json');
+            }
+        },
+        clear: () => {
+            const file = findFile();
+            if (file) file.setTrashed(true);
+        }
+    };
+}
+
+function createMemorySnapshotStore(initialSnapshot) {
+    let stored = initialSnapshot || null;
+    return {
+        load: () => stored,
+        save: snapshot => {
+            stored = snapshot;
+        },
+        clear: () => {
+            stored = null;
+        }
+    };
+}
+
+// Compares this run with the stored snapshot, then stores this run in its place
+function updateHistory(results, store) {
+    const snapshot = buildSnapshot(results);
+    const previous = store.load();
+
+    results.history = {
+        previous: previous,
+        snapshot: snapshot,
+        changes: previous ? compareSnapshots(previous, snapshot) : null
+    };
+
+    store.save(snapshot);
+    Logger.log(previous ? `Compared with snapshot from ${previous.date}` : 'No previous snapshot; stored the first one');
+}
+
+/**
+ * Compact record of a run: the health scores, counts per level and type,
+ * the effective assets per campaign (with a readable label for each) and
+ * the open issues by key.
+ */
+function buildSnapshot(results) {
+    const snapshot = {
+        date: results.today,
+        healthScore: results.healthScores.account,
+        account: {},
+        campaigns: {},
+        assetLabels: {},
+        issues: {}
+    };
+
+    extensionTypes.forEach(ext => {
+        snapshot.account[ext.key] = results.summary[ext.key];
+    });
+
+    Object.entries(results.campaignSummary).forEach(([campaignName, data]) => {
+        const campaign = { healthScore: results.healthScores.campaigns[campaignName].score, counts: {}, assets: {} };
+
+        extensionTypes.filter(ext => isEligibleType(data, ext)).forEach(ext => {
+            campaign.counts[ext.key] = data.effectiveCount[ext.key];
+            campaign.assets[ext.key] = data.effective[ext.key].slice();
+            data.effective[ext.key].forEach(id => {
+                snapshot.assetLabels[id] = toPlainText(describeAsset(results.assets[id]));
+            });
+        });
+
+        snapshot.campaigns[campaignName] = campaign;
+    });
+
+    getAuditIssues(results).forEach(issue => {
+        snapshot.issues[issue.key] = { severity: issue.severity, campaign: issue.campaign, message: issue.message };
+    });
+
+    return snapshot;
+}
+
+function compareSnapshots(previous, current) {
+    const scoreDelta = (before, after) => typeof before === 'number' && typeof after === 'number' ? after - before : null;
+    const campaignNames = Array.from(new Set(Object.keys(previous.campaigns).concat(Object.keys(current.campaigns))));
+    const assetDiff = (fromAssets, toAssets, labels) => extensionTypes
+        .map(ext => ({
+            key: ext.key,
+            labels: (toAssets[ext.key] || [])
+                .filter(id => (fromAssets[ext.key] || []).indexOf(id) === -1)
+                .map(id => labels[id] || `Asset ${id}`)
+        }))
+        .filter(diff => diff.labels.length > 0);
+
+    const campaigns = campaignNames
+        .map(campaignName => {
+            const before = previous.campaigns[campaignName];
+            const after = current.campaigns[campaignName];
+
+            return {
+                name: campaignName,
+                status: !before ? 'new' : !after ? 'removed' : 'changed',
+                healthScore: after ? after.healthScore : null,
+                scoreDelta: before && after ? scoreDelta(before.healthScore, after.healthScore) : null,
+                added: before && after ? assetDiff(before.assets, after.assets, current.assetLabels) : [],
+                removed: before && after ? assetDiff(after.assets, before.assets, previous.assetLabels) : []
+            };
+        })
+        .filter(change => change.status !== 'changed' || (change.scoreDelta !== null && change.scoreDelta !== 0) ||
+            change.added.length > 0 || change.removed.length > 0);
+
+    return {
+        previousDate: previous.date,
+        healthScore: current.healthScore,
+        scoreDelta: scoreDelta(previous.healthScore, current.healthScore),
+        campaigns: campaigns,
+        resolvedIssues: Object.keys(previous.issues)
+            .filter(key => !current.issues[key])
+            .map(key => previous.issues[key]),
+        newIssues: Object.keys(current.issues)
+            .filter(key => !previous.issues[key])
+            .map(key => current.issues[key])
+    };
+}
+
+// Strips the markup that report strings carry so they read well in a sheet
+function toPlainText(html) {
+    return String(html)
+        .replace(/<[^>]*>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&');
+}
+
 function generateExtensionReport(results, extensionTypes) {
     return `
       <html>
@@ -551,6 +3486,11 @@ function generateExtensionReport(results, extensionTypes) {
         <body>
           <div class="container">
                     <h1>🔗 Extension Overview</h1>
+                    ${generateIncompleteNotice(results)}
+                    ${generateScopeSummary(results)}
+                    ${generateHealthScoreSummary(results)}
+                    ${generateChangesSection(results)}
+                    ${results.exportUrl ? `<p class="info-text">📄 Full results, filterable per campaign and issue: <a href="${escapeHtml(results.exportUrl)}">open the spreadsheet</a></p>` : ''}
                     
                     <h2>Account Level Extensions</h2>
               <table class="summary-table">
@@ -562,9 +3502,9 @@ function generateExtensionReport(results, extensionTypes) {
                 </tr>
                 <tr>
                   <td>Sitelinks</td>
-                            <td>${results.summary.sitelinks}</td>
-                  <td>8+</td>
-                            <td class="status-cell">${results.summary.sitelinks >= 8 ? '<span class="status-success">✓</span>' : '<span class="status-warning">⚠️</span>'}</td>
+                            <td>${formatAssetCount(results, results.accountAssets.sitelinks || [])}</td>
+                  <td>${getThreshold('sitelinks', 'account')}+</td>
+                            <td class="status-cell">${results.summary.sitelinks >= getThreshold('sitelinks', 'account') ? '<span class="status-success">✓</span>' : '<span class="status-warning">⚠️</span>'}</td>
                 </tr>
                 <tr class="details-row">
                   <td colspan="4">
@@ -643,21 +3583,21 @@ function generateExtensionReport(results, extensionTypes) {
                                         ${extensionTypes[0].requirements.compatibility.map(comp => `<li>${comp}</li>`).join('')}
                                     </ul>
                                 </div>
-                                ${results.summary.sitelinks < 8 ? '<p class="info-text">ℹ️ Consider adding more sitelinks to maximize visibility on mobile devices.</p>' : ''}
+                                ${results.summary.sitelinks < getThreshold('sitelinks', 'account') ? '<p class="info-text">ℹ️ Consider adding more sitelinks to maximize visibility on mobile devices.</p>' : ''}
                   </td>
                 </tr>
 
                 <tr>
                   <td>Callouts</td>
-                            <td>${results.summary.callouts}</td>
-                  <td>10+</td>
-                            <td class="status-cell">${results.summary.callouts >= 10 ? '<span class="status-success">✓</span>' : '<span class="status-warning">⚠️</span>'}</td>
+                            <td>${formatAssetCount(results, results.accountAssets.callouts || [])}</td>
+                  <td>${getThreshold('callouts', 'account')}+</td>
+                            <td class="status-cell">${results.summary.callouts >= getThreshold('callouts', 'account') ? '<span class="status-success">✓</span>' : '<span class="status-warning">⚠️</span>'}</td>
                 </tr>
                 <tr class="details-row">
                   <td colspan="4">
                       <p><strong>Callout Requirements & Best Practices:</strong></p>
                       <ul>
-                                    <li>Character Limit: 25 characters</li>
+                                    <li>Character Limit: ${extensionTypes.find(ext => ext.type === 'CALLOUT').characterLimits.text} characters</li>
                                     <li>Display Format:
                           <ul>
                                             <li>Desktop: Separated by dots and listed on a single line</li>
@@ -680,15 +3620,15 @@ function generateExtensionReport(results, extensionTypes) {
                           </ul>
                         </li>
                       </ul>
-                                ${results.summary.callouts < 10 ? '<p class="info-text">ℹ️ Consider adding more callouts to maximize visibility. You can use up to 10 callouts per ad.</p>' : ''}
+                                ${results.summary.callouts < getThreshold('callouts', 'account') ? '<p class="info-text">ℹ️ Consider adding more callouts to maximize visibility. You can use up to 10 callouts per ad.</p>' : ''}
                   </td>
                 </tr>
 
                 <tr>
                   <td>Snippets</td>
-                            <td>${results.summary.snippets}</td>
-                  <td>4+</td>
-                            <td class="status-cell">${results.summary.snippets >= 4 ? '<span class="status-success">✓</span>' : '<span class="status-warning">⚠️</span>'}</td>
+                            <td>${formatAssetCount(results, results.accountAssets.snippets || [])}</td>
+                  <td>${getThreshold('snippets', 'account')}+</td>
+                            <td class="status-cell">${results.summary.snippets >= getThreshold('snippets', 'account') ? '<span class="status-success">✓</span>' : '<span class="status-warning">⚠️</span>'}</td>
                 </tr>
                 <tr class="details-row">
                   <td colspan="4">
@@ -720,22 +3660,22 @@ function generateExtensionReport(results, extensionTypes) {
                                     <li>Best Practices:
                                         <ul>
                                             <li>Create snippets at account level first for optimal coverage</li>
-                                            <li>Include at least 4 values per header</li>
+                                            <li>Include at least ${CONFIG.SNIPPETS.RECOMMENDED_VALUES} values per header</li>
                                             <li>Add multiple header-value sets to increase relevancy chances</li>
                                             <li>Ensure headers and values match to avoid disapproval</li>
                                             <li>Keep dynamic structured snippets enabled for better performance</li>
                           </ul>
                         </li>
                           </ul>
-                                ${results.summary.snippets < 4 ? '<p class="warning-text">⚠️ Recommended to add at least 4 values per header for better performance.</p>' : ''}
+                                ${results.summary.snippets < getThreshold('snippets', 'account') ? `<p class="warning-text">⚠️ Recommended to add at least ${CONFIG.SNIPPETS.RECOMMENDED_VALUES} values per header for better performance.</p>` : ''}
                   </td>
                 </tr>
 
                 <tr>
                   <td>Call Extension</td>
-                            <td>${results.summary.calls}</td>
-                  <td>1+</td>
-                            <td class="status-cell">${results.summary.calls >= 1 ? '<span class="status-success">✓</span>' : '<span class="status-warning">⚠️</span>'}</td>
+                            <td>${formatAssetCount(results, results.accountAssets.calls || [])}</td>
+                  <td>${getThreshold('calls', 'account')}+</td>
+                            <td class="status-cell">${results.summary.calls >= getThreshold('calls', 'account') ? '<span class="status-success">✓</span>' : '<span class="status-warning">⚠️</span>'}</td>
                 </tr>
                 <tr class="details-row">
                   <td colspan="4">
@@ -773,15 +3713,15 @@ function generateExtensionReport(results, extensionTypes) {
                           </ul>
                         </li>
                       </ul>
-                                ${results.summary.calls >= 1 ? '<p class="success-text">✓ Call extensions are set up. Make sure to enable call reporting and set appropriate schedules.</p>' : ''}
+                                ${results.summary.calls >= getThreshold('calls', 'account') ? '<p class="success-text">✓ Call extensions are set up. Make sure to enable call reporting and set appropriate schedules.</p>' : ''}
                   </td>
                 </tr>
 
                 <tr>
                   <td>Location Extension</td>
-                  <td>${results.summary.locations}</td>
-                  <td>1+</td>
-                  <td class="status-cell">${results.summary.locations >= 1 ? '<span class="status-success">✓</span>' : '<span class="status-warning">⚠️</span>'}</td>
+                  <td>${formatAssetCount(results, results.accountAssets.locations || [])}</td>
+                  <td>${getThreshold('locations', 'account')}+</td>
+                  <td class="status-cell">${results.summary.locations >= getThreshold('locations', 'account') ? '<span class="status-success">✓</span>' : '<span class="status-warning">⚠️</span>'}</td>
                 </tr>
                 <tr class="details-row">
                   <td colspan="4">
@@ -835,7 +3775,7 @@ function generateExtensionReport(results, extensionTypes) {
                         ${extensionTypes.find(ext => ext.type === 'LOCATION').requirements.restrictions.map(restriction => `<li>${restriction}</li>`).join('')}
                       </ul>
                     </div>
-                    ${results.summary.locations >= 1 ? 
+                    ${results.summary.locations >= getThreshold('locations', 'account') ? 
                       '<p class="success-text">✓ Location extensions are set up. Keep your Business Profile or Chain store data up to date.</p>' : 
                       '<p class="warning-text">⚠️ Consider adding location extensions to help customers find your business or products.</p>'}
                   </td>
@@ -843,9 +3783,9 @@ function generateExtensionReport(results, extensionTypes) {
 
                 <tr>
                   <td>Promotion Extension</td>
-                  <td>${results.summary.promotions}</td>
-                  <td>1+</td>
-                  <td class="status-cell">${results.summary.promotions >= 1 ? '<span class="status-success">✓</span>' : '<span class="status-warning">⚠️</span>'}</td>
+                  <td>${formatAssetCount(results, results.accountAssets.promotions || [])}</td>
+                  <td>${getThreshold('promotions', 'account')}+</td>
+                  <td class="status-cell">${results.summary.promotions >= getThreshold('promotions', 'account') ? '<span class="status-success">✓</span>' : '<span class="status-warning">⚠️</span>'}</td>
                 </tr>
                 <tr class="details-row">
                   <td colspan="4">
@@ -872,15 +3812,19 @@ function generateExtensionReport(results, extensionTypes) {
                         ${extensionTypes.find(ext => ext.type === 'PROMOTION').requirements.restrictions.map(restriction => `<li>${restriction}</li>`).join('')}
                       </ul>
                     </div>
-                    ${results.summary.promotions >= 1 ? '<p class="success-text">✓ Promotion extensions are set up. Keep them updated with current offers.</p>' : '<p class="warning-text">⚠️ Consider adding promotion extensions to highlight special offers and discounts.</p>'}
+                    ${results.summary.promotions >= getThreshold('promotions', 'account') ? '<p class="success-text">✓ Promotion extensions are set up. Keep them updated with current offers.</p>' : '<p class="warning-text">⚠️ Consider adding promotion extensions to highlight special offers and discounts.</p>'}
                   </td>
                 </tr>
 
                 <tr>
                   <td>Image Extension</td>
                   <td>Campaign Level Only</td>
-                  <td>4+ per campaign</td>
-                  <td class="status-cell">${results.summary.images >= 4 ? '<span class="status-success">✓</span>' : '<span class="status-warning">⚠️</span>'}</td>
+                  <td>${getThreshold('images', 'campaign')}+ per campaign</td>
+                  <td class="status-cell">${(() => {
+                    const share = getCampaignShare(results, extensionTypes.find(ext => ext.type === 'IMAGE'));
+                    if (share.expected === 0) return '–';
+                    return `${share.met === share.expected ? '<span class="status-success">✓</span>' : '<span class="status-warning">⚠️</span>'} ${share.met}/${share.expected} campaigns`;
+                  })()}</td>
                 </tr>
                 <tr class="details-row">
                   <td colspan="4">
@@ -944,7 +3888,7 @@ function generateExtensionReport(results, extensionTypes) {
                       } else {
                         const totalImages = Object.values(results.campaignSummary).reduce((sum, campaign) => sum + campaign.images, 0);
                         const campaignsNeedingMore = Object.entries(results.campaignSummary)
-                          .filter(([_, data]) => data.images > 0 && data.images < 4)
+                          .filter(([_, data]) => data.images > 0 && data.images < getThreshold('images', 'campaign', data.channelType))
                           .map(([name, _]) => name);
                         
                         if (campaignsNeedingMore.length > 0) {
@@ -956,10 +3900,34 @@ function generateExtensionReport(results, extensionTypes) {
                     })()}
                   </td>
                 </tr>
+                ${['PRICE', 'LEAD_FORM', 'BUSINESS_NAME', 'BUSINESS_LOGO', 'MOBILE_APP', 'HOTEL_CALLOUT']
+                    .map(type => generateAccountTypeRows(results, extensionTypes.find(ext => ext.type === type))).join('')}
               </table>
+
+                    ${generateAutomationSection(results)}
   
                     <h2>Campaign Level Extensions</h2>
                     ${generateCampaignExtensionSummary(results)}
+
+                    ${generatePolicySection(results)}
+
+                    ${generateSchedulingSection(results)}
+
+                    ${generateScheduleAlignmentSection(results)}
+
+                    ${generateTextLimitSection(results)}
+
+                    ${generateSnippetCheckSection(results)}
+
+                    ${generateRequirementSection(results)}
+
+                    ${generateDuplicateTextSection(results)}
+
+                    ${generateLandingPageSection(results)}
+
+                    ${generateUnderperformingSection(results)}
+
+                    ${generateLegacyFeedSection(results)}
                     
                     ${generateActionPlan(results)}
                 </div>
@@ -968,84 +3936,974 @@ function generateExtensionReport(results, extensionTypes) {
     `;
 }
 
+function generateRollupReport(accounts, failures) {
+    return `
+      <html>
+        <head>${getEmailStyles()}</head>
+        <body>
+          <div class="container">
+                    <h1>🏢 Extension Coverage by Account</h1>
+                    <p class="info-text">Coverage is the share of account-level and campaign-level extension types that meet their thresholds. Accounts with the lowest coverage are listed first.</p>
+
+                    <table class="summary-table">
+                        <tr>
+                            <th>#</th>
+                            <th>Account</th>
+                            <th>Customer ID</th>
+                            <th>Campaigns</th>
+                            <th>Coverage</th>
+                            <th>Health Score</th>
+                            <th>High</th>
+                            <th>Medium</th>
+                            <th>Low</th>
+                        </tr>
+                        ${accounts.map((account, index) => `
+                        <tr>
+                            <td>${index + 1}</td>
+                            <td>${account.exportUrl ? `<a href="${escapeHtml(account.exportUrl)}">${escapeHtml(account.name)}</a>` : escapeHtml(account.name)}</td>
+                            <td>${account.customerId}</td>
+                            <td>${account.campaigns}${account.incomplete ? ' (incomplete)' : ''}</td>
+                            <td>${formatPercent(account.coverage.ratio)} (${account.coverage.met}/${account.coverage.expected})</td>
+                            <td>${formatHealthScore(account.healthScore)}</td>
+                            <td>${account.actionCounts.HIGH}</td>
+                            <td>${account.actionCounts.MEDIUM}</td>
+                            <td>${account.actionCounts.LOW}</td>
+                        </tr>
+                        `).join('')}
+                    </table>
+
+                    ${accounts.map(account => `
+                    <div class="campaign-extensions">
+                        <h3>${escapeHtml(account.name)} <span class="campaign-type">${account.customerId}</span></h3>
+                        ${account.topActions.length === 0 ? '<p class="info-text">🎉 No open action items.</p>' : `
+                        <ul class="action-items">
+                            ${account.topActions.map(item => `
+                            <li>
+                                <strong>${item.priority} · ${item.type}${item.campaign ? ` (${item.campaign})` : ''}:</strong>
+                                ${item.action}
+                            </li>
+                            `).join('')}
+                        </ul>`}
+                    </div>
+                    `).join('')}
+
+                    ${failures.length === 0 ? '' : `
+                    <h2>Accounts Not Audited</h2>
+                    <ul>
+                        ${failures.map(failure => `<li>${failure.customerId}: ${escapeHtml(failure.error)}</li>`).join('')}
+                    </ul>`}
+                </div>
+            </body>
+        </html>
+    `;
+}
+
+function generateChangesSection(results) {
+    if (!results.history) return '';
+
+    const changes = results.history.changes;
+    if (!changes) {
+        return `
+        <h2>📈 Changes Since Last Run</h2>
+        <p class="info-text">ℹ️ This is the first stored snapshot. Changes will show from the next run.</p>
+        `;
+    }
+
+    const labelOf = key => extensionTypes.find(ext => ext.key === key).label;
+    const listAssets = diffs => diffs.map(diff => `${diff.labels.map(escapeHtml).join(', ')} <em>(${labelOf(diff.key)})</em>`).join('<br>');
+    const listIssues = issues => issues.map(issue => `
+            <li class="severity-${issue.severity}">${issue.campaign ? `<strong>${escapeHtml(issue.campaign)}:</strong> ` : ''}${escapeHtml(issue.message)}</li>`).join('');
+
+    return `
+        <h2>📈 Changes Since Last Run</h2>
+        <p class="info-text">ℹ️ Compared with the run of ${changes.previousDate}. The health score is now ${formatHealthScore(changes.healthScore)} (${formatScoreDelta(changes.scoreDelta)}).</p>
+        ${changes.campaigns.length === 0 ? '<p>No changes to campaign coverage or assets.</p>' : `
+        <table class="summary-table">
+            <tr>
+                <th>Campaign</th>
+                <th>Health Score</th>
+                <th>Assets Added</th>
+                <th>Assets Removed</th>
+            </tr>
+            ${changes.campaigns.map(change => `
+            <tr>
+                <td>${escapeHtml(change.name)}</td>
+                <td>${change.status === 'new' ? `${formatHealthScore(change.healthScore)} (new)` :
+                    change.status === 'removed' ? 'No longer audited' :
+                    `${formatHealthScore(change.healthScore)} (${formatScoreDelta(change.scoreDelta)})`}</td>
+                <td>${listAssets(change.added)}</td>
+                <td>${listAssets(change.removed)}</td>
+            </tr>
+            `).join('')}
+        </table>`}
+        <h3>✅ Resolved Issues (${changes.resolvedIssues.length})</h3>
+        ${changes.resolvedIssues.length === 0 ? '<p>None</p>' : `<ul>${listIssues(changes.resolvedIssues)}</ul>`}
+        <h3>🆕 New Issues (${changes.newIssues.length})</h3>
+        ${changes.newIssues.length === 0 ? '<p>None</p>' : `<ul>${listIssues(changes.newIssues)}</ul>`}
+    `;
+}
+
+function formatScoreDelta(delta) {
+    if (delta === null) return 'no earlier score';
+    return `${delta >= 0 ? '+' : ''}${delta}`;
+}
+
+function formatHealthScore(score) {
+    return score === null || score === undefined ? 'n/a' : `${score}/100`;
+}
+
+function generateHealthScoreSummary(results) {
+    const scored = Object.values(results.healthScores.campaigns).filter(health => health.score !== null);
+    if (results.healthScores.account === null) return '';
+
+    return `
+                    <div class="health-score-summary">
+                        <span class="health-score ${getHealthScoreClass(results.healthScores.account)}">${results.healthScores.account}</span>
+                        <span><strong>Extension health score</strong><br>Cost-weighted average of ${scored.length} campaign(s), out of 100</span>
+                    </div>
+    `;
+}
+
+function getHealthScoreClass(score) {
+    if (score >= 80) return 'health-good';
+    if (score >= 50) return 'health-fair';
+    return 'health-poor';
+}
+
+function generateHealthScoreBreakdown(results, campaignName, data) {
+    const health = results.healthScores.campaigns[campaignName];
+    const components = Object.keys(CONFIG.HEALTH_SCORE.COMPONENT_WEIGHTS)
+        .filter(component => CONFIG.HEALTH_SCORE.COMPONENT_WEIGHTS[component] > 0);
+    if (health.score === null) return '';
+
+    return `
+            <h4>Health Score Breakdown</h4>
+            <table class="summary-table asset-table">
+                <tr>
+                    <th>Extension Type</th>
+                    ${components.map(component => `<th>${component.charAt(0).toUpperCase() + component.slice(1)}</th>`).join('')}
+                    <th>Score</th>
+                </tr>
+                ${extensionTypes.filter(ext => health.types[ext.key] && CONFIG.HEALTH_SCORE.TYPE_WEIGHTS[ext.key] > 0).map(ext => `
+                <tr>
+                    <td>${ext.label}</td>
+                    ${components.map(component => `<td>${Math.round(health.types[ext.key][component] * 100)}%</td>`).join('')}
+                    <td>${Math.round(health.types[ext.key].score)}</td>
+                </tr>
+                `).join('')}
+            </table>
+    `;
+}
+
+function generateAlertEmail(accounts, failures) {
+    return `
+      <html>
+        <head>${getEmailStyles()}</head>
+        <body>
+          <div class="container">
+                    <h1>🔔 Extension Alerts</h1>
+                    <p class="info-text">ℹ️ Changes since the previous alert check that need attention.</p>
+
+                    ${accounts.map(account => `
+                    <div class="campaign-extensions">
+                        <h3>${escapeHtml(account.name)} <span class="campaign-type">${account.customerId}</span></h3>
+                        <ul class="action-items high-priority">
+                            ${account.alerts.map(alert => `
+                            <li>
+                                <strong>${alert.type}${alert.campaign ? ` (${escapeHtml(alert.campaign)})` : ''}:</strong>
+                                ${escapeHtml(alert.message)}
+                            </li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                    `).join('')}
+
+                    ${failures.length === 0 ? '' : `
+                    <h2>Accounts Not Checked</h2>
+                    <ul>
+                        ${failures.map(failure => `<li>${failure.customerId}: ${escapeHtml(failure.error)}</li>`).join('')}
+                    </ul>`}
+                </div>
+            </body>
+        </html>
+    `;
+}
+
+function generateIncompleteNotice(results) {
+    if (!results.incomplete) return '';
+
+    return `
+                    <div class="incomplete-notice">
+                        <strong>⚠️ Incomplete audit:</strong> the script ran out of time during ${results.incomplete.stage}.
+                        This report covers ${results.incomplete.audited} of ${results.incomplete.total} campaign(s)${results.landingPagesLeftForTime > 0 ? `; ${results.landingPagesLeftForTime} landing page URL(s) weren't checked yet` : ''}.
+                        ${results.incomplete.skipped ? `Not collected: ${results.incomplete.skipped.join(', ')}.` : ''}
+                        The next scheduled run continues where this one stopped.
+                    </div>
+    `;
+}
+
+function generateScopeSummary(results) {
+    const scope = results.campaignFilters;
+    return `
+                    <p class="scope-summary">
+                        <strong>Scope:</strong> ${scope.audited} campaign(s) audited, ${scope.excluded} excluded by filters.<br>
+                        <strong>Filters:</strong> ${scope.applied.map(escapeHtml).join('; ')} (metrics: ${scope.dateRange.toLowerCase().replace(/_/g, ' ')})
+                        ${scope.unsupported.length > 0 ? `<br><strong>Not audited:</strong> ${scope.unsupported
+                            .map(campaign => `${escapeHtml(campaign.name)} (${escapeHtml(campaign.type)})`).join(', ')}; these campaign types don't use extension assets the way this audit checks them.` : ''}
+                    </p>
+    `;
+}
+
 function generateCampaignExtensionSummary(results) {
     let html = '';
     
     for (const [campaignName, data] of Object.entries(results.campaignSummary)) {
         html += `
                 <div class="campaign-extensions">
-                <h3>${campaignName}</h3>
+                <h3>${campaignName} <span class="campaign-type">${data.profile.label}</span>${data.status === 'PAUSED' ? ' <span class="campaign-type">Paused</span>' : ''}${generateCampaignScoreBadge(results, campaignName)}</h3>
+                ${generateCampaignExtensionTable(results, data)}
+                ${generateHealthScoreBreakdown(results, campaignName, data)}
+                ${generatePrecedenceNotes(results, data)}
+                ${generateCampaignAssetContent(results, campaignName, data)}
+                ${generateAdGroupExtensionSummary(data)}
+                ${generateCampaignIssues(data)}
+            </div>
+        `;
+    }
+    
+    return html;
+}
+
+// Summary row and requirements panel of the account table for one extension type
+function generateAccountTypeRows(results, ext) {
+    const threshold = getThreshold(ext.key, ext.campaignLevelOnly ? 'campaign' : 'account');
+    const count = ext.campaignLevelOnly ?
+        Object.values(results.campaignSummary).reduce((sum, data) => sum + data[ext.key], 0) :
+        results.summary[ext.key];
+    const findings = results.requirementIssues.filter(issue => issue.key === ext.key);
+    let status = '<span class="status-warning">⚠️</span>';
+    if (threshold === 0) {
+        status = count > 0 ? '<span class="status-success">✓</span>' : '–';
+    } else if (ext.campaignLevelOnly) {
+        // Compare per campaign: an account-wide total can pass while most campaigns have none
+        const share = getCampaignShare(results, ext);
+        if (share.expected === 0) {
+            status = '–';
+        } else {
+            status = `${share.met === share.expected ? '<span class="status-success">✓</span>' : status} ${share.met}/${share.expected} campaigns`;
+        }
+    } else if (count >= threshold) {
+        status = '<span class="status-success">✓</span>';
+    }
+
+    return `
+                <tr>
+                  <td>${ext.label}</td>
+                  <td>${ext.campaignLevelOnly ? `${count} (campaign level only)` : formatAssetCount(results, results.accountAssets[ext.key] || [])}</td>
+                  <td>${threshold === 0 ? 'Optional' : `${threshold}+${ext.campaignLevelOnly ? ' per campaign' : ''}`}</td>
+                  <td class="status-cell">${status}</td>
+                </tr>
+                <tr class="details-row">
+                  <td colspan="4">
+                    <p><strong>${ext.label} Requirements & Best Practices:</strong></p>
+                    <div class="asset-details">
+                      <h4>Display Format</h4>
+                      <ul>
+                        <li>Desktop: ${ext.requirements.display.desktop}</li>
+                        <li>Mobile: ${ext.requirements.display.mobile}</li>
+                      </ul>
+
+                      <h4>Key Features</h4>
+                      <ul>
+                        ${ext.requirements.features.map(feature => `<li>${feature}</li>`).join('')}
+                      </ul>
+
+                      <h4>Best Practices</h4>
+                      <ul>
+                        ${ext.requirements.bestPractices.map(practice => `<li>${practice}</li>`).join('')}
+                      </ul>
+
+                      <h4>Restrictions</h4>
+                      <ul>
+                        ${ext.requirements.restrictions.map(restriction => `<li>${restriction}</li>`).join('')}
+                      </ul>
+                    </div>
+                    ${findings.length > 0 ? `<p class="warning-text">⚠️ ${findings.length} requirement finding(s); see Asset Requirement Checks below.</p>` : ''}
+                  </td>
+                </tr>
+    `;
+}
+
+function generateAutomationSection(results) {
+    const campaignIds = key => Array.from(new Set(Object.values(results.campaignSummary)
+        .reduce((ids, data) => ids.concat(data.assets[key] || []), [])));
+    const rows = extensionTypes
+        .map(ext => ({
+            ext: ext,
+            account: (results.accountAssets[ext.key] || []).filter(id => isAutomaticAsset(results, id)).length,
+            campaign: campaignIds(ext.key).filter(id => isAutomaticAsset(results, id)).length
+        }))
+        .filter(row => row.account + row.campaign > 0);
+    const settings = results.automationSettings;
+
+    // Unreadable settings (null) are worth a notice even without automatic assets
+    if (rows.length === 0 && settings !== null && settings.length === 0) return '';
+
+    const formatType = type => {
+        const label = String(type).toLowerCase().replace(/_/g, ' ');
+        return label.charAt(0).toUpperCase() + label.slice(1);
+    };
+
+    return `
+        <h2>Automatically Created Assets</h2>
+        ${settings === null ? `<p class="info-text">ℹ️ The account's asset automation settings couldn't be read; check them under Assets › Account-level automated assets.</p>` : ''}
+        ${settings && settings.length > 0 ? `
+        <table class="summary-table">
+            <tr>
+                <th>Automation</th>
+                <th class="status-cell">Status</th>
+            </tr>
+            ${settings.map(setting => `
+            <tr>
+                <td>${escapeHtml(formatType(setting.type))}</td>
+                <td class="status-cell">${setting.status === 'OPTED_IN' ? 'On' : setting.status === 'OPTED_OUT' ? 'Off' : escapeHtml(formatType(setting.status))}</td>
+            </tr>
+            `).join('')}
+        </table>
+        ` : ''}
+        ${rows.length > 0 ? `
+        <table class="summary-table">
+            <tr>
+                <th>Extension Type</th>
+                <th>Automatic at Account Level</th>
+                <th>Automatic at Campaign Level</th>
+            </tr>
+            ${rows.map(row => `
+            <tr>
+                <td>${row.ext.label}</td>
+                <td>${row.account}</td>
+                <td>${row.campaign}</td>
+            </tr>
+            `).join('')}
+        </table>
+        <p class="info-text">ℹ️ Google creates and removes these assets on its own; campaigns that need them to reach a minimum are flagged below.</p>
+        ` : ''}
+    `;
+}
+
+function generateCampaignScoreBadge(results, campaignName) {
+    const score = results.healthScores.campaigns[campaignName].score;
+    return score === null ? '' : ` <span class="health-score ${getHealthScoreClass(score)}">${score}</span>`;
+}
+
+function generateCampaignExtensionTable(results, data) {
+    const eligibleTypes = extensionTypes.filter(ext => isEligibleType(data, ext));
+
+    if (eligibleTypes.length === 0) {
+        return `<p class="info-text">ℹ️ ${data.profile.label} campaigns don't use these extension types.</p>`;
+    }
+
+    return `
                   <table class="summary-table">
                     <tr>
                       <th>Extension Type</th>
                       <th>Account Level</th>
                       <th>Campaign Level</th>
-                        <th class="status-cell">Status</th>
-                    </tr>
-                    <tr>
-                      <td>Sitelinks</td>
-                        <td>${results.summary.accountLevel.sitelinks}</td>
-                        <td>${data.sitelinks}</td>
-                        <td class="status-cell">${data.sitelinks >= 2 ? '<span class="status-success">✓</span>' : '<span class="status-warning">⚠️</span>'}</td>
+                      <th>Eligible</th>
+                      <th>Expected</th>
+                      <th class="status-cell">Status</th>
                     </tr>
+                    ${eligibleTypes.map(ext => `
                     <tr>
-                      <td>Callouts</td>
-                        <td>${results.summary.accountLevel.callouts}</td>
-                        <td>${data.callouts}</td>
-                        <td class="status-cell">${data.callouts >= 4 ? '<span class="status-success">✓</span>' : '<span class="status-warning">⚠️</span>'}</td>
+                      <td>${ext.label}</td>
+                      <td>${ext.campaignLevelOnly ? 'N/A' : results.summary.accountLevel[ext.key]}</td>
+                      <td>${formatAssetCount(results, data.assets[ext.key] || [])}</td>
+                      <td>${formatEffectiveCount(data, ext.key)}${data.advertiserCount[ext.key] < data.effectiveCount[ext.key] ? ` <span class="auto-count">(${data.advertiserCount[ext.key]} your own)</span>` : ''}</td>
+                      <td>${getThreshold(ext.key, 'campaign', data.channelType) === 0 ? 'Optional' : `${getThreshold(ext.key, 'campaign', data.channelType)}+`}</td>
+                      <td class="status-cell">${getThreshold(ext.key, 'campaign', data.channelType) === 0 && data.effectiveCount[ext.key] === 0 ? '–' :
+                          data.effectiveCount[ext.key] >= getThreshold(ext.key, 'campaign', data.channelType) ? '<span class="status-success">✓</span>' : '<span class="status-warning">⚠️</span>'}</td>
                     </tr>
-                    <tr>
-                      <td>Snippets</td>
-                        <td>${results.summary.accountLevel.snippets}</td>
-                        <td>${data.snippets}</td>
-                        <td class="status-cell">${data.snippets >= 2 ? '<span class="status-success">✓</span>' : '<span class="status-warning">⚠️</span>'}</td>
-                    </tr>
-                    <tr>
-                      <td>Call Extension</td>
-                        <td>${results.summary.accountLevel.calls}</td>
-                        <td>${data.calls}</td>
-                        <td class="status-cell">${data.calls >= 1 ? '<span class="status-success">✓</span>' : '<span class="status-warning">⚠️</span>'}</td>
-                    </tr>
-                    <tr>
-                      <td>Location Extension</td>
-                        <td>${results.summary.accountLevel.locations}</td>
-                        <td>${data.locations}</td>
-                        <td class="status-cell">${data.locations >= 1 ? '<span class="status-success">✓</span>' : '<span class="status-warning">⚠️</span>'}</td>
-                    </tr>
-                    <tr>
-                        <td>Promotion Extension</td>
-                        <td>${results.summary.accountLevel.promotions}</td>
-                        <td>${data.promotions}</td>
-                        <td class="status-cell">${data.promotions >= 1 ? '<span class="status-success">✓</span>' : '<span class="status-warning">⚠️</span>'}</td>
-                    </tr>
-                    <tr>
-                        <td>Image Extension</td>
-                        <td>N/A</td>
-                        <td>${data.images}</td>
-                        <td class="status-cell">${data.images >= 4 ? '<span class="status-success">✓</span>' : '<span class="status-warning">⚠️</span>'}</td>
-                  </tr>
-              </table>
-                ${generateCampaignIssues(data)}
-            </div>
+                    `).join('')}
+                  </table>
+    `;
+}
+
+// Asset count with the automatically created share called out
+function formatAssetCount(results, assetIds) {
+    const automatic = assetIds.filter(id => isAutomaticAsset(results, id)).length;
+    return automatic > 0 ? `${assetIds.length} <span class="auto-count">(${automatic} automatic)</span>` : `${assetIds.length}`;
+}
+
+function formatEffectiveCount(data, key) {
+    const adGroupNames = Object.keys(data.adGroups);
+    if (adGroupNames.length === 0) return `${data.effectiveCount[key]}`;
+
+    const maxCount = Math.max(...adGroupNames.map(name => data.adGroups[name].effective[key].length));
+    return maxCount > data.effectiveCount[key] ? `${data.effectiveCount[key]}–${maxCount}` : `${maxCount}`;
+}
+
+function generatePrecedenceNotes(results, data) {
+    const notes = extensionTypes
+        .filter(ext => isEligibleType(data, ext) && ext.hierarchyMode === 'mostSpecific' && data.hiddenAccountAssets[ext.key] > 0)
+        .map(ext => `<li>${data[ext.key]} campaign-level ${ext.label.toLowerCase()} hide ${data.hiddenAccountAssets[ext.key]} account-level ${ext.label.toLowerCase()} in this campaign</li>`);
+
+    if (notes.length === 0) return '';
+
+    return `
+        <div class="info-text">
+            <p>ℹ️ Only the most specific level serves for these extension types:</p>
+            <ul>${notes.join('')}</ul>
+        </div>
+    `;
+}
+
+function generateCampaignAssetContent(results, campaignName, data) {
+    const sections = extensionTypes
+        .filter(ext => isEligibleType(data, ext) && ext.assetFields.length > 0 && data.effective[ext.key].length > 0)
+        .map(ext => `
+            <h5>${ext.label}</h5>
+            <table class="summary-table asset-table">
+                <tr>
+                    <th>Asset</th>
+                    <th>Level</th>
+                    <th>Source</th>
+                    <th>Impr.</th>
+                    <th>Clicks</th>
+                    <th>CTR</th>
+                    <th>Cost</th>
+                    <th>Conv.</th>
+                </tr>
+                ${data.effective[ext.key].map(id => {
+                    const metrics = getAssetMetrics(results, campaignName, ext, id);
+                    return `
+                <tr>
+                    <td>${describeAsset(results.assets[id])}</td>
+                    <td>${(data.assets[ext.key] || []).indexOf(id) !== -1 ? 'Campaign' : 'Account'}</td>
+                    <td>${isAutomaticAsset(results, id) ? 'Automatic' : 'Advertiser'}</td>
+                    <td>${formatNumber(metrics.impressions)}</td>
+                    <td>${formatNumber(metrics.clicks)}</td>
+                    <td>${formatPercent(metrics.ctr)}</td>
+                    <td>${formatCost(metrics.cost, results.currencyCode)}</td>
+                    <td>${formatNumber(metrics.conversions, 1)}</td>
+                </tr>`;
+                }).join('')}
+            </table>
+        `);
+
+    if (sections.length === 0) return '';
+
+    return `
+        <div class="asset-content">
+            <h4>Eligible Asset Content</h4>
+            <p>Metrics cover ${CONFIG.DATE_RANGE.toLowerCase().replace(/_/g, ' ')}; account-level assets show their account-wide totals.</p>
+            ${sections.join('')}
+        </div>
+    `;
+}
+
+function formatNumber(value, decimals) {
+    return Number(value || 0).toFixed(decimals || 0).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+}
+
+function formatPercent(ratio) {
+    return `${(ratio * 100).toFixed(2)}%`;
+}
+
+function formatCost(cost, currencyCode) {
+    return `${currencyCode} ${Number(cost || 0).toFixed(2)}`;
+}
+
+function describeAsset(asset) {
+    if (!asset) return 'Unknown asset';
+
+    switch (asset.type) {
+        case 'SITELINK':
+            return `<strong>${escapeHtml(asset.linkText)}</strong>` +
+                [asset.description1, asset.description2].filter(text => text).map(text => ` · ${escapeHtml(text)}`).join('') +
+                (asset.finalUrls.length > 0 ? ` <span class="asset-url">${escapeHtml(asset.finalUrls[0])}</span>` : '');
+        case 'CALLOUT':
+            return escapeHtml(asset.text);
+        case 'STRUCTURED_SNIPPET':
+            return `<strong>${escapeHtml(asset.header)}:</strong> ${asset.values.map(escapeHtml).join(', ')}`;
+        case 'CALL':
+            return `${escapeHtml(asset.phoneNumber)}${asset.countryCode ? ` (${escapeHtml(asset.countryCode)})` : ''}`;
+        case 'PROMOTION': {
+            const discount = asset.percentOff ?
+                `${Number(asset.percentOff) / 10000}% off` :
+                asset.moneyAmountOff ? `${Number(asset.moneyAmountOff) / 1000000} ${escapeHtml(asset.currencyCode)} off` : '';
+            return `<strong>${escapeHtml(asset.promotionTarget)}</strong>${discount ? ` · ${discount}` : ''}` +
+                (asset.promotionCode ? ` · code ${escapeHtml(asset.promotionCode)}` : '') +
+                (asset.occasion && asset.occasion !== 'UNSPECIFIED' ? ` · ${escapeHtml(asset.occasion)}` : '');
+        }
+        case 'IMAGE':
+            return asset.width && asset.height ? `Image ${asset.id} (${asset.width}×${asset.height})` : `Image ${asset.id}`;
+        case 'PRICE':
+            return `<strong>${escapeHtml(asset.priceType || 'Price')}</strong> · ${asset.priceOfferings.length} item(s)` +
+                (asset.priceQualifier && asset.priceQualifier !== 'UNSPECIFIED' ? ` · ${escapeHtml(asset.priceQualifier)}` : '');
+        case 'LEAD_FORM':
+            return `<strong>${escapeHtml(asset.headline || `Lead form ${asset.id}`)}</strong>` +
+                (asset.businessName ? ` · ${escapeHtml(asset.businessName)}` : '');
+        case 'BUSINESS_NAME':
+        case 'HOTEL_CALLOUT':
+            return escapeHtml(asset.text);
+        case 'BUSINESS_LOGO':
+            return asset.width && asset.height ? `Logo ${asset.id} (${asset.width}×${asset.height})` : `Logo ${asset.id}`;
+        case 'MOBILE_APP':
+            return `<strong>${escapeHtml(asset.linkText)}</strong> · ${escapeHtml(asset.appId)}` +
+                (asset.appStore ? ` (${escapeHtml(asset.appStore)})` : '');
+        default:
+            return `Asset ${asset.id}`;
+    }
+}
+
+function escapeHtml(text) {
+    return String(text === undefined || text === null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function generateAdGroupExtensionSummary(data) {
+    const adGroupNames = Object.keys(data.adGroups || {});
+    if (adGroupNames.length === 0) return '';
+
+    const eligibleTypes = extensionTypes.filter(ext => isEligibleType(data, ext));
+    const adGroupsWithAssets = adGroupNames.filter(name =>
+        eligibleTypes.some(ext => data.adGroups[name][ext.key] > 0));
+
+    if (adGroupsWithAssets.length === 0) {
+        return `<p class="info-text">ℹ️ None of the ${adGroupNames.length} ad groups have ad-group-level extensions.</p>`;
+    }
+
+    const otherAdGroups = adGroupNames.length - adGroupsWithAssets.length;
+
+    return `
+        <div class="adgroup-extensions">
+            <h4>Ad Group Level Extensions</h4>
+            <table class="summary-table adgroup-table">
+                <tr>
+                    <th>Ad Group</th>
+                    ${eligibleTypes.map(ext => `<th>${ext.label}</th>`).join('')}
+                </tr>
+                ${adGroupsWithAssets.map(name => `
+                <tr>
+                    <td>${name}</td>
+                    ${eligibleTypes.map(ext => {
+                        const belowThreshold = data.adGroups[name].effective[ext.key].length < getThreshold(ext.key, 'adGroup', data.channelType);
+                        return `<td>${data.adGroups[name][ext.key]}${belowThreshold ? ' <span class="status-warning">⚠️</span>' : ''}</td>`;
+                    }).join('')}
+                </tr>
+                `).join('')}
+            </table>
+            <p>Counts are ad-group-level assets; ⚠️ marks ad groups with fewer eligible assets than the ad group threshold.</p>
+            ${otherAdGroups > 0 ? `<p class="info-text">ℹ️ ${otherAdGroups} other ad group(s) have no ad-group-level extensions and rely on campaign or account level.</p>` : ''}
+        </div>
+    `;
+}
+
+function generateCampaignIssues(data) {
+    if (data.issues.length === 0) return '';
+                  
+                  return `
+        <div class="campaign-issues">
+            <p><strong>Issues:</strong></p>
+            <ul>
+                ${data.issues.map(issue => `<li>${issue.message}</li>`).join('')}
+                  </ul>
+                </div>
+    `;
+}
+  
+function generatePolicySection(results) {
+    const policyExclusions = results.excludedAssets.filter(item => item.reason === 'disapproved' || item.reason === 'limited');
+    if (policyExclusions.length === 0) return '';
+
+    const assetIds = Array.from(new Set(policyExclusions.map(item => item.assetId)));
+
+    return `
+        <h2>Policy & Approval Status</h2>
+        <p class="info-text">ℹ️ These assets are enabled but disapproved or approved with limitations. They are left out of the active counts above.</p>
+        <table class="summary-table">
+            <tr>
+                <th>Type</th>
+                <th>Asset</th>
+                <th>Approval</th>
+                <th>Policy Topics</th>
+                <th>Linked At</th>
+            </tr>
+            ${assetIds.map(assetId => {
+                const asset = results.assets[assetId];
+                return `
+            <tr>
+                <td>${extensionTypes.find(ext => ext.key === asset.key).label}</td>
+                <td>${describeAsset(asset)}</td>
+                <td>${asset.approvalStatus === 'DISAPPROVED' ? '<span class="status-error">Disapproved</span>' : '<span class="status-warning">Limited</span>'}<br><small>${asset.reviewStatus.toLowerCase().replace(/_/g, ' ')}</small></td>
+                <td>${asset.policyTopics.length > 0 ? asset.policyTopics.map(escapeHtml).join(', ') : '—'}</td>
+                <td>${policyExclusions.filter(item => item.assetId === assetId).map(item => escapeHtml(item.level)).join(', ')}</td>
+            </tr>`;
+            }).join('')}
+        </table>
+    `;
+}
+
+function generateSchedulingSection(results) {
+    const expired = results.excludedAssets.filter(item => item.reason === 'expired');
+    const scheduled = results.excludedAssets.filter(item => item.reason === 'scheduled');
+    if (expired.length === 0 && scheduled.length === 0 && results.expiringAssets.length === 0) return '';
+
+    const expiredIds = Array.from(new Set(expired.map(item => item.assetId)));
+    const scheduledIds = Array.from(new Set(scheduled.map(item => item.assetId)));
+
+    return `
+        <h2>Asset Scheduling</h2>
+        ${expiredIds.length > 0 ? `
+        <h3>Expired Assets</h3>
+        <p class="info-text">ℹ️ These assets are still enabled but their end date has passed. They are left out of the active counts.</p>
+        <table class="summary-table">
+            <tr>
+                <th>Type</th>
+                <th>Asset</th>
+                <th>Ended</th>
+                <th>Linked At</th>
+            </tr>
+            ${expiredIds.map(assetId => `
+            <tr>
+                <td>${extensionTypes.find(ext => ext.key === results.assets[assetId].key).label}</td>
+                <td>${describeAsset(results.assets[assetId])}</td>
+                <td>${results.assets[assetId].endDate}</td>
+                <td>${expired.filter(item => item.assetId === assetId).map(item => escapeHtml(item.level)).join(', ')}</td>
+            </tr>
+            `).join('')}
+        </table>
+        ` : ''}
+        ${scheduledIds.length > 0 ? `
+        <h3>Not Started Yet</h3>
+        <p class="info-text">ℹ️ These assets are enabled but their start date is still ahead. They are left out of the active counts until they start.</p>
+        <table class="summary-table">
+            <tr>
+                <th>Type</th>
+                <th>Asset</th>
+                <th>Starts</th>
+                <th>Linked At</th>
+            </tr>
+            ${scheduledIds.map(assetId => `
+            <tr>
+                <td>${extensionTypes.find(ext => ext.key === results.assets[assetId].key).label}</td>
+                <td>${describeAsset(results.assets[assetId])}</td>
+                <td>${results.assets[assetId].startDate}</td>
+                <td>${scheduled.filter(item => item.assetId === assetId).map(item => escapeHtml(item.level)).join(', ')}</td>
+            </tr>
+            `).join('')}
+        </table>
+        ` : ''}
+        ${results.expiringAssets.length > 0 ? `
+        <h3>Ending Within ${CONFIG.SCHEDULING.EXPIRY_WARNING_DAYS} Days</h3>
+        <table class="summary-table">
+            <tr>
+                <th>Type</th>
+                <th>Asset</th>
+                <th>Ends</th>
+                <th>Linked At</th>
+            </tr>
+            ${results.expiringAssets.map(item => `
+            <tr>
+                <td>${extensionTypes.find(ext => ext.key === item.key).label}</td>
+                <td>${describeAsset(results.assets[item.assetId])}</td>
+                <td>${item.endDate} (${item.daysLeft} day(s))</td>
+                <td>${getAssetUsage(results, item.assetId).map(escapeHtml).join(', ')}</td>
+            </tr>
+            `).join('')}
+        </table>
+        ` : ''}
+        ${results.expiryCoverageRisks.length > 0 ? `
+        <p class="warning-text">⚠️ Coverage drops below the minimum once these assets end:</p>
+        <ul>
+            ${results.expiryCoverageRisks.map(risk => `<li><strong>${escapeHtml(risk.campaign)}</strong>: ${extensionTypes.find(ext => ext.key === risk.key).label.toLowerCase()} go from ${risk.current} to ${risk.afterExpiry} (minimum ${risk.minimum}) on ${risk.endDate}</li>`).join('')}
+        </ul>
+        ` : ''}
+    `;
+}
+
+function generateScheduleAlignmentSection(results) {
+    if (results.scheduleConflicts.length === 0 && results.scheduleGaps.length === 0) return '';
+
+    return `
+        <h2>Ad Schedule Alignment</h2>
+        ${results.scheduleConflicts.length > 0 ? `
+        <h3>Assets That Can Never Serve</h3>
+        <table class="summary-table">
+            <tr>
+                <th>Campaign</th>
+                <th>Type</th>
+                <th>Asset</th>
+            </tr>
+            ${results.scheduleConflicts.map(conflict => `
+            <tr>
+                <td>${escapeHtml(conflict.campaign)}</td>
+                <td>${extensionTypes.find(ext => ext.key === conflict.key).label}</td>
+                <td>${describeAsset(results.assets[conflict.assetId])}</td>
+            </tr>
+            `).join('')}
+        </table>
+        ` : ''}
+        ${results.scheduleGaps.length > 0 ? `
+        <h3>Times With Too Few Sitelinks</h3>
+        <p class="info-text">ℹ️ The campaign runs during these windows, but sitelink schedules leave fewer sitelinks eligible than the campaign threshold.</p>
+        <ul>
+            ${results.scheduleGaps.map(gap => `<li><strong>${escapeHtml(gap.campaign)}</strong> (minimum ${gap.minimum}): ${gap.windows.map(formatScheduleWindow).join(', ')}</li>`).join('')}
+        </ul>
+        ` : ''}
+    `;
+}
+
+function generateTextLimitSection(results) {
+    if (results.textIssues.length === 0) return '';
+
+    const sections = extensionTypes
+        .filter(ext => results.textIssues.some(issue => issue.key === ext.key))
+        .map(ext => `
+            <h3>${ext.label}</h3>
+            <table class="summary-table">
+                <tr>
+                    <th>Asset</th>
+                    <th>Texts (Width / Limit)</th>
+                    <th>Used In</th>
+                    <th class="status-cell">Status</th>
+                </tr>
+                ${results.textIssues.filter(issue => issue.key === ext.key).map(issue => `
+                <tr>
+                    <td>${describeAsset(results.assets[issue.assetId])}</td>
+                    <td>
+                        <ul>
+                            ${issue.texts.map(text => `<li class="severity-${text.status === 'over' ? 'high' : 'low'}">${text.field}: "${escapeHtml(text.text)}" ${text.width} / ${text.limit}</li>`).join('')}
+                        </ul>
+                    </td>
+                    <td>${issue.levels.map(escapeHtml).join(', ')}</td>
+                    <td class="status-cell">${issue.status === 'over' ? '<span class="status-error">Over</span>' : '<span class="status-warning">Near</span>'}</td>
+                </tr>
+                `).join('')}
+            </table>
+        `);
+
+    return `
+        <h2>Text Length Checks</h2>
+        <p class="info-text">ℹ️ Texts over the limit are rejected or cut off; texts close to it risk truncation on small screens. Double-width characters (Chinese, Japanese, Korean) count as 2.</p>
+        ${sections.join('')}
+    `;
+}
+
+function generateSnippetCheckSection(results) {
+    if (results.snippetIssues.length === 0) return '';
+
+    const assetIds = Array.from(new Set(results.snippetIssues.map(issue => issue.assetId)));
+
+    return `
+        <h2>Structured Snippet Checks</h2>
+        <table class="summary-table">
+            <tr>
+                <th>Snippet</th>
+                <th>Findings</th>
+                <th>Used In</th>
+            </tr>
+            ${assetIds.map(assetId => `
+            <tr>
+                <td>${describeAsset(results.assets[assetId])}</td>
+                <td>
+                    <ul>
+                        ${results.snippetIssues
+                            .filter(issue => issue.assetId === assetId)
+                            .map(issue => `<li class="severity-${issue.severity}">${escapeHtml(issue.message)}</li>`).join('')}
+                    </ul>
+                </td>
+                <td>${getAssetUsage(results, assetId).map(escapeHtml).join(', ')}</td>
+            </tr>
+            `).join('')}
+        </table>
+    `;
+}
+
+function generateRequirementSection(results) {
+    if (results.requirementIssues.length === 0) return '';
+
+    const assetIds = Array.from(new Set(results.requirementIssues.map(issue => issue.assetId)));
+
+    return `
+        <h2>Asset Requirement Checks</h2>
+        <table class="summary-table">
+            <tr>
+                <th>Type</th>
+                <th>Asset</th>
+                <th>Findings</th>
+                <th>Used In</th>
+            </tr>
+            ${assetIds.map(assetId => `
+            <tr>
+                <td>${extensionTypes.find(ext => ext.key === results.assets[assetId].key).label}</td>
+                <td>${describeAsset(results.assets[assetId])}</td>
+                <td>
+                    <ul>
+                        ${results.requirementIssues
+                            .filter(issue => issue.assetId === assetId)
+                            .map(issue => `<li class="severity-${issue.severity}">${escapeHtml(issue.message)}</li>`).join('')}
+                    </ul>
+                </td>
+                <td>${getAssetUsage(results, assetId).map(escapeHtml).join(', ')}</td>
+            </tr>
+            `).join('')}
+        </table>
+    `;
+}
+
+function generateDuplicateTextSection(results) {
+    if (results.duplicateTexts.length === 0) return '';
+
+    return `
+        <h2>Duplicate Sitelink & Callout Text</h2>
+        <p class="info-text">ℹ️ Assets with the same text compete for the same slot, so fewer of them can show together.</p>
+        <table class="summary-table">
+            <tr>
+                <th>Type</th>
+                <th>Colliding Text</th>
+                <th>Match</th>
+                <th>Where</th>
+                <th>Asset IDs</th>
+            </tr>
+            ${results.duplicateTexts.map(finding => `
+            <tr>
+                <td>${extensionTypes.find(ext => ext.key === finding.key).label}</td>
+                <td>${finding.texts.map(text => `"${escapeHtml(text)}"`).join('<br>')}</td>
+                <td>${finding.match === 'exact' ? 'Exact' : 'Normalized'}</td>
+                <td>${escapeHtml(finding.scope)}${finding.campaigns.length > 0 ? `: ${finding.campaigns.map(escapeHtml).join(', ')}` : ''}</td>
+                <td>${finding.assetIds.join(', ')}</td>
+            </tr>
+            `).join('')}
+        </table>
+    `;
+}
+
+function generateLandingPageSection(results) {
+    if (!results.landingPages) return '';
+
+    const checks = Object.values(results.landingPages);
+    const problems = checks.filter(check => describeLandingPageProblem(check) !== '');
+    const uncheckedNotice = results.uncheckedLandingPages > 0 ?
+        `<p class="warning-text">⚠️ ${results.uncheckedLandingPages} more URL(s) weren't checked: the check stops after ${CONFIG.LINK_CHECK.MAX_URLS} URLs (CONFIG.LINK_CHECK.MAX_URLS).</p>` : '';
+    const leftForTimeNotice = results.landingPagesLeftForTime > 0 ?
+        `<p class="warning-text">⏸️ ${results.landingPagesLeftForTime} URL(s) weren't checked before the time budget ran out; the next run checks them.</p>` : '';
+
+    if (problems.length === 0) {
+        return `
+            <h2>Landing Page Health</h2>
+            <p class="success-text">✓ All ${checks.length} checked sitelink and promotion URLs respond without errors or redirects.</p>
+            ${uncheckedNotice}
+            ${leftForTimeNotice}
         `;
     }
-    
-    return html;
+
+    return `
+        <h2>Landing Page Health</h2>
+        <p class="info-text">ℹ️ Checked ${checks.length} unique URL(s); ${problems.filter(check => check.broken).length} broken.</p>
+        ${uncheckedNotice}
+        ${leftForTimeNotice}
+        <table class="summary-table">
+            <tr>
+                <th>URL</th>
+                <th>Problem</th>
+                <th>Used By</th>
+                <th class="status-cell">Status</th>
+            </tr>
+            ${problems.map(check => `
+            <tr>
+                <td>${escapeHtml(check.url)}</td>
+                <td>${escapeHtml(describeLandingPageProblem(check))}</td>
+                <td>${check.assetIds.map(id => describeAsset(results.assets[id])).join('<br>')}</td>
+                <td class="status-cell">${check.broken ? '<span class="status-error">Broken</span>' : '<span class="status-warning">⚠️</span>'}</td>
+            </tr>
+            `).join('')}
+        </table>
+    `;
 }
 
-function generateCampaignIssues(data) {
-    if (data.issues.length === 0) return '';
-                  
-                  return `
-        <div class="campaign-issues">
-            <p><strong>Issues:</strong></p>
-            <ul>
-                ${data.issues.map(issue => `<li>${issue.message}</li>`).join('')}
-                  </ul>
-                </div>
+function generateUnderperformingSection(results) {
+    if (results.underperformingAssets.length === 0) return '';
+
+    return `
+        <h2>Underperforming Assets</h2>
+        <p class="info-text">ℹ️ Assets without impressions or with a CTR far below similar assets (${CONFIG.DATE_RANGE.toLowerCase().replace(/_/g, ' ')}). Consider replacing them with fresh variations.</p>
+        <table class="summary-table">
+            <tr>
+                <th>Type</th>
+                <th>Asset</th>
+                <th>Level</th>
+                <th>Impr.</th>
+                <th>Reason</th>
+            </tr>
+            ${results.underperformingAssets.map(item => `
+            <tr>
+                <td>${extensionTypes.find(ext => ext.key === item.key).label}</td>
+                <td>${describeAsset(results.assets[item.assetId])}</td>
+                <td>${escapeHtml(item.level)}</td>
+                <td>${formatNumber(item.metrics ? item.metrics.impressions : 0)}</td>
+                <td>${item.reason}</td>
+            </tr>
+            `).join('')}
+        </table>
     `;
 }
-  
+
+function generateLegacyFeedSection(results) {
+    const errors = results.legacyFeedErrors || [];
+    const errorNotice = errors.length === 0 ? '' : `
+        <p class="info-text">ℹ️ Feed-based extension detection couldn't read ${errors.map(escapeHtml).join(', ')}${results.legacyFeedItems.length === 0 ? ', so no feed items could be found' : ''}. Check the account for feed-based extensions by hand if it predates assets.</p>`;
+
+    if (results.legacyFeedItems.length === 0) return errorNotice ? `
+        <h2>Feed-Based Extensions</h2>${errorNotice}
+    ` : '';
+
+    const labelOf = key => extensionTypes.find(ext => ext.key === key).label;
+    const assetName = item => `${item.type.toLowerCase().replace(/_/g, ' ')} asset`;
+    const linkAt = level => level === 'Account' ? 'the account' : level.indexOf(' › ') !== -1 ? `ad group ${level}` : `campaign ${level}`;
+
+    return `
+        <h2>Feed-Based Extensions</h2>
+        <p class="warning-text">⚠️ ${results.legacyFeedItems.length} enabled feed-based extension(s) are not included in the asset counts above. Migrate them to assets so they show up in this audit and keep serving.</p>${errorNotice}
+        ${Object.keys(results.legacyFeedCampaigns).length > 0 ? `
+        <h3>Campaigns Still Using Feed Items</h3>
+        <table class="summary-table">
+            <tr>
+                <th>Campaign</th>
+                <th>Extension Type</th>
+                <th>Feed Items</th>
+                <th>Eligible Assets</th>
+            </tr>
+            ${Object.entries(results.legacyFeedCampaigns).map(([campaignName, types]) => Object.entries(types).map(([key, count]) => `
+            <tr>
+                <td>${escapeHtml(campaignName)}</td>
+                <td>${labelOf(key)}</td>
+                <td>${count}</td>
+                <td>${results.campaignSummary[campaignName].effectiveCount[key] === 0 ? '<span class="status-warning">0 (feed items only)</span>' : results.campaignSummary[campaignName].effectiveCount[key]}</td>
+            </tr>
+            `).join('')).join('')}
+        </table>
+        ` : ''}
+        <h3>Migration Checklist</h3>
+        <ol class="migration-checklist">
+            ${results.legacyFeedItems.map(item => `
+            <li>☐ <strong>${labelOf(item.key)} feed item ${escapeHtml(item.id)}</strong>: ${describeAsset(item)}
+                <ul>
+                    <li>Create a ${assetName(item)} with the same content</li>
+                    ${item.levels.length > 0 ?
+                        `<li>Link it to ${item.levels.map(level => escapeHtml(linkAt(level))).join(', ')}</li>` :
+                        '<li>Not linked anywhere; no asset link needed</li>'}
+                    <li>Remove the feed item once the asset is approved</li>
+                </ul>
+            </li>
+            `).join('')}
+        </ol>
+    `;
+}
+
   function getEmailStyles() {
     return `
       <style>
@@ -1119,6 +4977,86 @@ function generateCampaignIssues(data) {
         border-radius: 8px;
         box-shadow: 0 1px 3px rgba(0,0,0,0.1);
       }
+      .asset-content {
+        font-size: 0.9em;
+        color: #4a5568;
+      }
+      .asset-content h4, .adgroup-extensions h4 {
+        color: #2d3748;
+        margin: 15px 0 5px 0;
+      }
+      .asset-content h5 {
+        margin: 10px 0 4px 0;
+      }
+      .asset-table th,
+      .asset-table td {
+        padding: 6px;
+      }
+      .asset-url {
+        color: #718096;
+        font-size: 0.85em;
+      }
+      .adgroup-table th,
+      .adgroup-table td {
+        padding: 6px;
+        font-size: 0.9em;
+        text-align: center;
+      }
+      .adgroup-table td:first-child {
+        text-align: left;
+      }
+      .health-score-summary {
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        margin: 15px 0;
+      }
+      .health-score {
+        display: inline-block;
+        min-width: 28px;
+        padding: 2px 8px;
+        border-radius: 12px;
+        font-weight: bold;
+        text-align: center;
+        color: #fff;
+      }
+      .health-score-summary .health-score {
+        font-size: 1.8em;
+        padding: 8px 14px;
+      }
+      .health-good {
+        background: #38a169;
+      }
+      .health-fair {
+        background: #d69e2e;
+      }
+      .health-poor {
+        background: #e53e3e;
+      }
+      .incomplete-notice {
+        background: #fff5f5;
+        border: 1px solid #feb2b2;
+        color: #c53030;
+        padding: 12px;
+        border-radius: 4px;
+        margin-bottom: 15px;
+      }
+      .scope-summary {
+        font-size: 0.9em;
+        color: #4a5568;
+        background: #f8fafc;
+        padding: 10px;
+        border-radius: 4px;
+      }
+      .campaign-type {
+        font-size: 0.7em;
+        font-weight: normal;
+        color: #4a5568;
+        background: #edf2f7;
+        padding: 2px 8px;
+        border-radius: 4px;
+        margin-left: 8px;
+      }
       .campaign-issues {
         margin: 10px 0;
           padding: 10px;
@@ -1144,16 +5082,16 @@ function generateCampaignIssues(data) {
         background-color: #f8f9fa;
         font-weight: bold;
       }
-      .sitelink-details, .callout-details, .snippet-details, .call-details, .location-details {
+      .sitelink-details, .callout-details, .snippet-details, .call-details, .location-details, .asset-details {
           font-size: 0.9em;
           color: #4a5568;
           padding: 10px;
         }
-      .sitelink-details ul, .callout-details ul, .snippet-details ul, .call-details ul, .location-details ul {
+      .sitelink-details ul, .callout-details ul, .snippet-details ul, .call-details ul, .location-details ul, .asset-details ul {
           margin: 8px 0;
           padding-left: 20px;
         }
-      .sitelink-details li, .callout-details li, .snippet-details li, .call-details li, .location-details li {
+      .sitelink-details li, .callout-details li, .snippet-details li, .call-details li, .location-details li, .asset-details li {
           margin: 5px 0;
           line-height: 1.4;
         }
@@ -1197,6 +5135,22 @@ function generateCampaignIssues(data) {
         border-radius: 4px;
       }
       
+      .severity-high {
+        color: #c53030;
+      }
+      .severity-medium {
+        color: #d97706;
+      }
+      .severity-low {
+        color: #4a5568;
+      }
+      .status-error {
+        background-color: #fff5f5;
+        color: #c53030;
+        padding: 4px 8px;
+        border-radius: 4px;
+      }
+      
       .status-warning {
         background-color: #fff7ed;
         color: #d97706;
@@ -1281,18 +5235,34 @@ function generateCampaignIssues(data) {
         border-radius: 6px;
         background: #f8fafc;
       }
-      .action-items.high-priority li {
+      .action-items.high-priority li,
+      .action-items li.high-priority {
         border-left: 4px solid #e53e3e;
         background: #fff5f5;
       }
-      .action-items.medium-priority li {
+      .action-items.medium-priority li,
+      .action-items li.medium-priority {
         border-left: 4px solid #d69e2e;
         background: #fffff0;
       }
-      .action-items.low-priority li {
+      .action-items.low-priority li,
+      .action-items li.low-priority {
         border-left: 4px solid #3182ce;
         background: #ebf8ff;
       }
+      .migration-checklist li {
+        margin-bottom: 8px;
+      }
+      .auto-count {
+        font-size: 0.85em;
+        color: #718096;
+      }
+      .item-spend {
+        display: block;
+        margin-top: 6px;
+        font-size: 0.9em;
+        color: #4a5568;
+      }
       .quick-tip {
         display: block;
         margin-top: 8px;
@@ -1313,12 +5283,12 @@ function generateCampaignIssues(data) {
     `;
   }
   
-  function sendEmail(htmlBody) {
+  function sendEmail(htmlBody, subject) {
     Logger.log('📧 Attempting to send email...');
     try {
       MailApp.sendEmail({
         to: CONFIG.EMAIL.RECIPIENT,
-        subject: `${CONFIG.EMAIL.SUBJECT_PREFIX} - ${new Date().toLocaleDateString()}`,
+        subject: subject || `${CONFIG.EMAIL.SUBJECT_PREFIX} - ${new Date().toLocaleDateString()}`,
         htmlBody: htmlBody
       });
         Logger.log('✅ Extension audit report email sent successfully');
@@ -1341,47 +5311,49 @@ function sendErrorNotification(error) {
     }
 }
 
-function generateActionPlan(results) {
+function getActionItems(results) {
     const actionItems = [];
     
     // Check account level extensions
-    if (results.summary.sitelinks < 8) {
+    const accountThreshold = key => getThreshold(key, 'account');
+
+    if (results.summary.sitelinks < accountThreshold('sitelinks')) {
         actionItems.push({
             priority: 'HIGH',
             type: 'Sitelinks',
-            action: `Add ${8 - results.summary.sitelinks} more sitelink(s) at account level`,
+            action: `Add ${accountThreshold('sitelinks') - results.summary.sitelinks} more sitelink(s) at account level`,
             tip: 'Focus on your most important pages like "About Us", "Contact", "Products", or "Services"'
         });
     }
     
-    if (results.summary.callouts < 10) {
+    if (results.summary.callouts < accountThreshold('callouts')) {
         actionItems.push({
             priority: 'HIGH',
             type: 'Callouts',
-            action: `Add ${10 - results.summary.callouts} more callout(s)`,
+            action: `Add ${accountThreshold('callouts') - results.summary.callouts} more callout(s)`,
             tip: 'Include unique selling points like "Free Shipping", "24/7 Support", or "Price Match Guarantee"'
         });
     }
     
-    if (results.summary.snippets < 4) {
+    if (results.summary.snippets < accountThreshold('snippets')) {
         actionItems.push({
             priority: 'MEDIUM',
             type: 'Structured Snippets',
-            action: `Add ${4 - results.summary.snippets} more structured snippet(s)`,
-            tip: 'Choose relevant headers and add at least 4 values for each'
+            action: `Add ${accountThreshold('snippets') - results.summary.snippets} more structured snippet(s)`,
+            tip: `Choose relevant headers and add at least ${CONFIG.SNIPPETS.RECOMMENDED_VALUES} values for each`
         });
     }
     
-    if (results.summary.calls === 0) {
+    if (results.summary.calls < accountThreshold('calls')) {
         actionItems.push({
             priority: 'HIGH',
             type: 'Call Extensions',
-            action: 'Add at least 1 call extension',
+            action: `Add at least ${accountThreshold('calls') - results.summary.calls} call extension(s)`,
             tip: 'Use your main business phone number and set appropriate call schedules'
         });
     }
     
-    if (results.summary.locations === 0) {
+    if (results.summary.locations < accountThreshold('locations')) {
         actionItems.push({
             priority: 'MEDIUM',
             type: 'Location Extensions',
@@ -1390,7 +5362,7 @@ function generateActionPlan(results) {
         });
     }
     
-    if (results.summary.promotions === 0) {
+    if (results.summary.promotions < accountThreshold('promotions')) {
         actionItems.push({
             priority: 'LOW',
             type: 'Promotion Extensions',
@@ -1398,29 +5370,281 @@ function generateActionPlan(results) {
             tip: 'Great for highlighting special offers, discounts, or seasonal promotions'
         });
     }
+
+    const priceCampaigns = Object.entries(results.campaignSummary)
+        .filter(([campaignName, data]) => data.profile.eligibleTypes.indexOf('prices') !== -1)
+        .map(([campaignName]) => campaignName);
+    if (results.summary.prices < accountThreshold('prices') ||
+        (priceCampaigns.length > 0 && priceCampaigns.every(campaignName => results.campaignSummary[campaignName].effectiveCount.prices === 0))) {
+        actionItems.push({
+            priority: 'LOW',
+            type: 'Price Assets',
+            campaigns: priceCampaigns,
+            action: `Consider adding a price asset with at least ${extensionTypes.find(ext => ext.type === 'PRICE').requirements.minimumItems} items`,
+            tip: 'Show prices for your main products, services or plans so users arrive knowing what to expect'
+        });
+    }
+
+    if (results.summary.businessNames < accountThreshold('businessNames')) {
+        actionItems.push({
+            priority: 'MEDIUM',
+            type: 'Business Name',
+            action: 'Add your business name at account level',
+            tip: 'Shown next to your logo at the top of Search ads; complete advertiser verification first'
+        });
+    }
+
+    if (results.summary.businessLogos < accountThreshold('businessLogos')) {
+        actionItems.push({
+            priority: 'MEDIUM',
+            type: 'Business Logo',
+            action: 'Add a square business logo at account level',
+            tip: 'Upload a 1:1 logo of at least 1200×1200 pixels that stays readable at small sizes'
+        });
+    }
+
+    const appCampaigns = Object.entries(results.campaignSummary)
+        .filter(([campaignName, data]) => data.profile.eligibleTypes.indexOf('mobileApps') !== -1)
+        .map(([campaignName]) => campaignName);
+    if (appCampaigns.length > 0 && appCampaigns.every(campaignName => results.campaignSummary[campaignName].effectiveCount.mobileApps === 0)) {
+        actionItems.push({
+            priority: 'LOW',
+            type: 'App Assets',
+            campaigns: appCampaigns,
+            action: 'Add an app asset if you have a mobile app',
+            tip: 'Links straight to the App Store or Google Play from ads on mobile devices'
+        });
+    }
+
+    const leadFormCampaigns = Object.entries(results.campaignSummary)
+        .filter(([campaignName, data]) => data.profile.eligibleTypes.indexOf('leadForms') !== -1)
+        .map(([campaignName]) => campaignName);
+    if (leadFormCampaigns.length > 0 && leadFormCampaigns.every(campaignName => results.campaignSummary[campaignName].effectiveCount.leadForms === 0)) {
+        actionItems.push({
+            priority: 'LOW',
+            type: 'Lead Forms',
+            campaigns: leadFormCampaigns,
+            action: 'Consider a lead form asset on campaigns that generate leads',
+            tip: 'Users send their contact details from the ad without loading your site; a privacy policy URL is required'
+        });
+    }
     
     // Check campaign level extensions
     for (const [campaignName, data] of Object.entries(results.campaignSummary)) {
-        if (data.sitelinks < 2) {
+        const campaignLabel = `${campaignName} · ${data.profile.label}`;
+        const campaignThreshold = key => getThreshold(key, 'campaign', data.channelType);
+        const isEligible = key => data.profile.eligibleTypes.indexOf(key) !== -1;
+
+        if (isEligible('sitelinks') && data.effectiveCount.sitelinks < campaignThreshold('sitelinks')) {
             actionItems.push({
                 priority: 'HIGH',
                 type: 'Campaign Sitelinks',
-                campaign: campaignName,
-                action: `Add ${2 - data.sitelinks} more sitelink(s)`,
+                campaign: campaignLabel,
+                campaigns: [campaignName],
+                action: `Add ${campaignThreshold('sitelinks') - data.effectiveCount.sitelinks} more sitelink(s)`,
                 tip: 'Add campaign-specific landing pages to improve relevance'
             });
         }
         
-        if (data.images < 4) {
+        if (isEligible('images') && data.effectiveCount.images < campaignThreshold('images')) {
             actionItems.push({
                 priority: 'MEDIUM',
                 type: 'Image Extensions',
-                campaign: campaignName,
-                action: `Add ${4 - data.images} more image(s)`,
+                campaign: campaignLabel,
+                campaigns: [campaignName],
+                action: `Add ${campaignThreshold('images') - data.effectiveCount.images} more image(s)`,
                 tip: 'Use both square (1:1) and landscape (1.91:1) formats for better coverage'
             });
         }
+
+        const automaticOnly = extensionTypes.filter(ext => data.issues
+            .some(issue => issue.type === 'automatic_assets_only' && issue.extensionType === ext.type.toLowerCase()));
+        if (automaticOnly.length > 0) {
+            actionItems.push({
+                priority: 'LOW',
+                type: 'Automatic Assets',
+                campaign: campaignLabel,
+                campaigns: [campaignName],
+                action: `Add your own ${automaticOnly.map(ext => ext.label.toLowerCase()).join(', ')}; the minimum is only met with automatically created assets`,
+                tip: 'Google can remove automatically created assets at any time and you don\'t control their text'
+            });
+        }
+
+        if (isEligible('hotelCallouts') && data.effectiveCount.hotelCallouts < campaignThreshold('hotelCallouts')) {
+            actionItems.push({
+                priority: 'MEDIUM',
+                type: 'Hotel Callouts',
+                campaign: campaignLabel,
+                campaigns: [campaignName],
+                action: `Add ${campaignThreshold('hotelCallouts') - data.effectiveCount.hotelCallouts} more hotel callout(s)`,
+                tip: 'Highlight booking benefits like free cancellation, breakfast included or free parking'
+            });
+        }
+    }
+
+    // Check feed-based extensions that still need migrating
+    extensionTypes.filter(ext => ext.feedFields).forEach(ext => {
+        const items = results.legacyFeedItems.filter(item => item.key === ext.key);
+        if (items.length === 0) return;
+
+        const levels = items.reduce((list, item) => list.concat(item.levels), []);
+        actionItems.push({
+            priority: 'MEDIUM',
+            type: `Feed-Based ${ext.label}`,
+            campaigns: getLevelCampaigns(results, levels),
+            action: `Migrate ${items.length} feed-based ${ext.label.toLowerCase()} to assets`,
+            tip: 'Follow the migration checklist: recreate each item as an asset at the same level, then remove the feed item'
+        });
+    });
+
+    // Check asset requirements
+    const requirementAssetIds = Array.from(new Set(results.requirementIssues.map(issue => issue.assetId)));
+
+    requirementAssetIds.forEach(assetId => {
+        const asset = results.assets[assetId];
+        const findings = results.requirementIssues.filter(issue => issue.assetId === assetId);
+        const usage = getAssetUsage(results, assetId);
+
+        actionItems.push({
+            priority: findings.some(issue => issue.severity === 'high') ? 'HIGH' : 'MEDIUM',
+            type: `${extensionTypes.find(ext => ext.key === asset.key).label} Requirements`,
+            campaign: usage.join(', '),
+            campaigns: getLevelCampaigns(results, usage),
+            action: `Fix ${describeAsset(asset)}: ${findings.map(issue => escapeHtml(issue.message)).join('; ')}`,
+            tip: 'Assets that break these rules get disapproved or show less content'
+        });
+    });
+    
+    // Check policy status
+    const policyAssetIds = Array.from(new Set(results.excludedAssets
+        .filter(item => item.reason === 'disapproved' || item.reason === 'limited')
+        .map(item => item.assetId)));
+
+    policyAssetIds.forEach(assetId => {
+        const asset = results.assets[assetId];
+        const levels = results.excludedAssets.filter(item => item.assetId === assetId).map(item => item.level);
+
+        actionItems.push({
+            priority: 'HIGH',
+            type: `${asset.approvalStatus === 'DISAPPROVED' ? 'Disapproved' : 'Limited'} ${extensionTypes.find(ext => ext.key === asset.key).label}`,
+            campaign: Array.from(new Set(levels)).join(', '),
+            campaigns: getLevelCampaigns(results, levels),
+            action: `Fix or replace ${describeAsset(asset)}${asset.policyTopics.length > 0 ? ` (${asset.policyTopics.map(escapeHtml).join(', ')})` : ''}`,
+            tip: 'Check the policy details in the asset report, edit the asset or appeal the decision'
+        });
+    });
+
+    // Check scheduling
+    results.expiryCoverageRisks.forEach(risk => {
+        actionItems.push({
+            priority: 'MEDIUM',
+            type: `Expiring ${extensionTypes.find(ext => ext.key === risk.key).label}`,
+            campaign: risk.campaign,
+            campaigns: [risk.campaign],
+            action: `Add or extend assets before ${risk.endDate}; coverage drops to ${risk.afterExpiry} (minimum ${risk.minimum})`,
+            tip: 'Schedule replacement assets to start the day after the current ones end'
+        });
+    });
+
+    const expired = results.excludedAssets.filter(item => item.reason === 'expired');
+    const expiredCount = new Set(expired.map(item => item.assetId)).size;
+    if (expiredCount > 0) {
+        actionItems.push({
+            priority: 'LOW',
+            type: 'Expired Assets',
+            campaigns: getLevelCampaigns(results, expired.map(item => item.level)),
+            action: `Remove or renew ${expiredCount} expired asset(s)`,
+            tip: 'Expired assets no longer serve and clutter the asset library'
+        });
     }
+
+    // Check ad schedule alignment
+    results.scheduleConflicts.forEach(conflict => {
+        actionItems.push({
+            priority: 'MEDIUM',
+            type: `Unschedulable ${extensionTypes.find(ext => ext.key === conflict.key).label}`,
+            campaign: conflict.campaign,
+            campaigns: [conflict.campaign],
+            action: `Align the schedule of ${describeAsset(results.assets[conflict.assetId])} with the campaign's ad schedule`,
+            tip: 'An asset only serves when both its own schedule and the campaign schedule are active'
+        });
+    });
+
+    results.scheduleGaps.forEach(gap => {
+        actionItems.push({
+            priority: 'MEDIUM',
+            type: 'Sitelink Schedule Gaps',
+            campaign: gap.campaign,
+            campaigns: [gap.campaign],
+            action: `Add sitelinks that run during ${gap.windows.map(formatScheduleWindow).join(', ')}`,
+            tip: 'Keep at least one set of unscheduled sitelinks as a fallback'
+        });
+    });
+
+    // Check landing pages
+    Object.values(results.landingPages || {}).forEach(check => {
+        const usage = Array.from(new Set(check.assetIds.reduce((names, id) => names.concat(getAssetUsage(results, id)), [])));
+
+        if (check.broken) {
+            actionItems.push({
+                priority: 'HIGH',
+                type: 'Broken Landing Page',
+                campaign: usage.join(', '),
+                campaigns: getLevelCampaigns(results, usage),
+                action: `Fix or replace ${escapeHtml(check.url)} (${escapeHtml(describeLandingPageProblem(check))})`,
+                tip: 'Assets pointing to broken pages get disapproved and waste clicks'
+            });
+        } else if (check.redirects.length > 0) {
+            actionItems.push({
+                priority: 'LOW',
+                type: 'Landing Page Redirect',
+                campaign: usage.join(', '),
+                campaigns: getLevelCampaigns(results, usage),
+                action: `Update ${escapeHtml(check.url)} to ${escapeHtml(check.finalUrl)}`,
+                tip: 'Pointing straight at the final URL saves a redirect and speeds up the page load'
+            });
+        }
+    });
+
+    return rankActionItems(results, actionItems);
+}
+
+/**
+ * Sorts action items by estimated impact: the priority weight times the cost
+ * of the campaigns the item affects, with impressions breaking ties between
+ * campaigns without spend. Items without campaigns apply to the whole
+ * account and are scaled by CONFIG.ACTION_PLAN.ACCOUNT_WIDE_WEIGHT. Each item
+ * gets the spend, impressions and conversions it covers.
+ */
+function rankActionItems(results, actionItems) {
+    const weightOf = item => CONFIG.ACTION_PLAN.PRIORITY_WEIGHTS[item.priority] *
+        (item.campaigns ? 1 : CONFIG.ACTION_PLAN.ACCOUNT_WIDE_WEIGHT);
+
+    actionItems.forEach(item => {
+        const stats = (item.campaigns || Object.keys(results.campaignSummary))
+            .filter(campaignName => results.campaignSummary[campaignName])
+            .map(campaignName => results.campaignSummary[campaignName].stats);
+
+        item.spend = stats.reduce((sum, campaignStats) => sum + campaignStats.cost, 0);
+        item.impressions = stats.reduce((sum, campaignStats) => sum + campaignStats.impressions, 0);
+        item.conversions = stats.reduce((sum, campaignStats) => sum + campaignStats.conversions, 0);
+        item.impact = weightOf(item) * item.spend;
+    });
+
+    return actionItems.sort((a, b) =>
+        b.impact - a.impact ||
+        weightOf(b) * b.impressions - weightOf(a) * a.impressions ||
+        weightOf(b) - weightOf(a));
+}
+
+// Campaign names behind asset levels ('Account', a campaign or 'Campaign › Ad group')
+function getLevelCampaigns(results, levels) {
+    if (levels.indexOf('Account') !== -1) return Object.keys(results.campaignSummary);
+    return Array.from(new Set(levels.map(level => level.split(' › ')[0])));
+}
+
+function generateActionPlan(results) {
+    const actionItems = getActionItems(results);
     
     if (actionItems.length === 0) {
         return `
@@ -1431,52 +5655,219 @@ function generateActionPlan(results) {
         `;
     }
     
-    return `
-        <div class="action-plan">
-            <h2>📋 Action Plan</h2>
-            <p>Here are the recommended steps to improve your extensions:</p>
-            
-            <h3>High Priority Actions</h3>
-            <ul class="action-items high-priority">
-                ${actionItems
-                    .filter(item => item.priority === 'HIGH')
-                    .map(item => `
-                        <li>
-                            <strong>${item.type}${item.campaign ? ` (${item.campaign})` : ''}:</strong>
-                            ${item.action}
-                            <br>
-                            <span class="quick-tip">💡 Quick Tip: ${item.tip}</span>
-                        </li>
-                    `).join('')}
-            </ul>
-            
-            <h3>Medium Priority Actions</h3>
-            <ul class="action-items medium-priority">
-                ${actionItems
-                    .filter(item => item.priority === 'MEDIUM')
-                    .map(item => `
-                        <li>
-                            <strong>${item.type}${item.campaign ? ` (${item.campaign})` : ''}:</strong>
+    const topItems = actionItems.slice(0, CONFIG.ACTION_PLAN.TOP_N);
+    const remainingItems = actionItems.slice(CONFIG.ACTION_PLAN.TOP_N);
+    const renderItems = items => items.map(item => `
+                        <li class="${item.priority.toLowerCase()}-priority">
+                            <strong>${item.priority} · ${item.type}${item.campaign ? ` (${item.campaign})` : ''}:</strong>
                             ${item.action}
-                            <br>
+                            <span class="item-spend">${formatCost(item.spend, results.currencyCode)} spend · ${formatNumber(item.conversions, 1)} conv.${item.campaigns ? '' : ' · account-wide'}</span>
                             <span class="quick-tip">💡 Quick Tip: ${item.tip}</span>
                         </li>
-                    `).join('')}
-            </ul>
+                    `).join('');
+    
+    return `
+        <div class="action-plan">
+            <h2>📋 Action Plan</h2>
+            <p>Here are the recommended steps to improve your extensions, ranked by estimated impact: priority weighted by the cost of the campaigns each step affects (${CONFIG.DATE_RANGE.toLowerCase().replace(/_/g, ' ')}).</p>
             
-            <h3>Additional Opportunities</h3>
-            <ul class="action-items low-priority">
-                ${actionItems
-                    .filter(item => item.priority === 'LOW')
-                    .map(item => `
-                        <li>
-                            <strong>${item.type}${item.campaign ? ` (${item.campaign})` : ''}:</strong>
-                            ${item.action}
-                            <br>
-                            <span class="quick-tip">💡 Quick Tip: ${item.tip}</span>
-                        </li>
-                    `).join('')}
+            <ul class="action-items">
+                ${renderItems(topItems)}
             </ul>
+            ${remainingItems.length === 0 ? '' : `
+            <h3>${remainingItems.length} more action(s)</h3>
+            <table class="summary-table">
+                <tr>
+                    <th>Priority</th>
+                    <th>Type</th>
+                    <th>Action</th>
+                    <th>Spend</th>
+                    <th>Conv.</th>
+                </tr>
+                ${remainingItems.map(item => `
+                <tr>
+                    <td>${item.priority}</td>
+                    <td>${item.type}${item.campaign ? ` (${item.campaign})` : ''}</td>
+                    <td>${item.action}</td>
+                    <td>${formatCost(item.spend, results.currencyCode)}${item.campaigns ? '' : ' (account-wide)'}</td>
+                    <td>${formatNumber(item.conversions, 1)}</td>
+                </tr>`).join('')}
+            </table>`}
         </div>
     `;
 }
+
+/**
+ * Built-in checks for the parts of the audit that take injected inputs or
+ * parse report values. Run them with CONFIG.RUN_MODE = 'SELF_TEST': they only
+ * use stubs, so nothing is fetched, written or sent.
+ */
+var selfTests = [
+    {
+        name: 'Landing page checks with a stub fetcher',
+        run: () => {
+            const pages = {
+                'https://example.com/ok': { status: 200, body: '<title>Shoes</title>' },
+                'http://example.com/moved': { status: 301, headers: { Location: 'https://example.com/ok' } },
+                'https://example.com/gone': { status: 404 },
+                'https://example.com/soft': { status: 200, body: '<title>Page not found</title>' }
+            };
+            const fetcher = {
+                fetch: url => {
+                    const page = pages[url];
+                    if (!page) throw new Error(`Unknown URL ${url}`);
+                    return { getResponseCode: () => page.status, getHeaders: () => page.headers || {}, getContentText: () => page.body || '' };
+                }
+            };
+            const results = {
+                assets: {
+                    1: { id: 1, finalUrls: ['https://example.com/ok', 'http://example.com/moved'] },
+                    2: { id: 2, finalUrls: ['https://example.com/gone', 'https://example.com/soft', 'https://example.com/unchecked'] }
+                }
+            };
+
+            const maxUrls = CONFIG.LINK_CHECK.MAX_URLS;
+            CONFIG.LINK_CHECK.MAX_URLS = 4;
+            try {
+                checkLandingPages(results, fetcher);
+            } finally {
+                CONFIG.LINK_CHECK.MAX_URLS = maxUrls;
+            }
+
+            assertEqual(results.landingPages['https://example.com/ok'].broken, false, 'OK page');
+            assertEqual(results.landingPages['http://example.com/moved'].httpsUpgrade, true, 'HTTP to HTTPS redirect');
+            assertEqual(results.landingPages['https://example.com/gone'].broken, true, '404 page');
+            assertEqual(results.landingPages['https://example.com/soft'].soft404, true, 'Soft 404 page');
+            assertEqual(results.uncheckedLandingPages, 1, 'URLs over MAX_URLS');
+        }
+    },
+    {
+        name: 'Asset ad schedules in the report text format',
+        run: () => {
+            // asset.sitelink_asset.ad_schedule_targets as AdsApp.report returns it
+            const value = '[{day_of_week=SATURDAY, start_hour=10, start_minute=ZERO, end_hour=12, end_minute=THIRTY}, ' +
+                '{day_of_week=SUNDAY, start_hour=9, start_minute=FIFTEEN, end_hour=17, end_minute=FORTY_FIVE}]';
+            const entries = parseListValue(value).map(parseScheduleEntry);
+
+            assertEqual(entries, [
+                { dayOfWeek: 'SATURDAY', startHour: 10, startMinute: 0, endHour: 12, endMinute: 30 },
+                { dayOfWeek: 'SUNDAY', startHour: 9, startMinute: 15, endHour: 17, endMinute: 45 }
+            ], 'Parsed entries');
+            assertEqual(getScheduleSlots(parseListValue(value)).filter(slot => slot).length, 10 + 34, 'Scheduled 15-minute slots');
+        }
+    },
+    {
+        name: 'Changes against a stored snapshot',
+        run: () => {
+            const store = createMemorySnapshotStore({
+                date: '2026-01-01',
+                campaigns: { Shoes: { assets: { sitelinks: [1, 2] } } },
+                assetLabels: { 1: 'Contact', 2: 'Sale' },
+                issues: { 'expired:Shoes:2': { campaign: 'Shoes', message: 'Sale is expired' } }
+            });
+            const current = {
+                date: '2026-01-02',
+                campaigns: { Shoes: { assets: { sitelinks: [1, 3] } } },
+                assetLabels: { 1: 'Contact', 3: 'Returns' },
+                issues: { 'disapproved:Shoes:3': { campaign: 'Shoes', message: 'Returns is disapproved' } }
+            };
+
+            const changes = compareSnapshots(store.load(), current);
+            const shoes = changes.campaigns.find(campaign => campaign.name === 'Shoes');
+
+            assertEqual(shoes.added, [{ key: 'sitelinks', labels: ['Returns'] }], 'Added assets');
+            assertEqual(shoes.removed, [{ key: 'sitelinks', labels: ['Sale'] }], 'Removed assets');
+            assertEqual(changes.resolvedIssues.map(issue => issue.message), ['Sale is expired'], 'Resolved issues');
+            assertEqual(changes.newIssues.map(issue => issue.message), ['Returns is disapproved'], 'New issues');
+        }
+    },
+    {
+        name: 'Created spreadsheet is reused on the next run',
+        run: () => {
+            let created = 0;
+            const spreadsheetApp = {
+                create: () => {
+                    created++;
+                    return { getUrl: () => `https://docs.google.com/spreadsheets/d/${created}` };
+                },
+                openByUrl: url => ({ getUrl: () => url })
+            };
+            const urlStore = createMemorySnapshotStore();
+
+            const first = createSpreadsheetSink('', 'Test account', spreadsheetApp, urlStore).getUrl();
+            const second = createSpreadsheetSink('', 'Test account', spreadsheetApp, urlStore).getUrl();
+
+            assertEqual(created, 1, 'Spreadsheets created');
+            assertEqual(second, first, 'Spreadsheet of the second run');
+        }
+    },
+    {
+        name: 'Regressions against a stored snapshot',
+        run: () => {
+            const minimum = getThreshold('sitelinks', 'campaign', 'SEARCH');
+            const store = createMemorySnapshotStore({
+                date: '2026-01-01',
+                campaigns: { Shoes: { counts: { sitelinks: minimum, calls: 1 }, assets: { calls: [5] } } },
+                assetLabels: { 5: 'Call: 020 123 4567' },
+                issues: { 'disapproved:Shoes:3': { campaign: 'Shoes', message: 'Sitelink "Sale" is disapproved' } }
+            });
+            const current = {
+                date: '2026-01-02',
+                campaigns: { Shoes: { counts: { sitelinks: minimum - 1, calls: 0 }, assets: { calls: [] } } },
+                assetLabels: {},
+                issues: {
+                    'disapproved:Shoes:3': { campaign: 'Shoes', message: 'Sitelink "Sale" is disapproved' },
+                    'expired:Shoes:7': { campaign: 'Shoes', message: 'Promotion "Summer" is expired' },
+                    'expired:Shoes:8': { campaign: 'Shoes', message: 'Callout "Free returns" is expired' }
+                }
+            };
+            const results = {
+                campaignSummary: { Shoes: { channelType: 'SEARCH' } },
+                assets: { 3: { type: 'SITELINK' }, 7: { type: 'PROMOTION' }, 8: { type: 'CALLOUT' } }
+            };
+
+            const alerts = findRegressions(results, store.load(), current);
+
+            assertEqual(alerts.map(alert => alert.type), ['Sitelinks below minimum', 'Call asset removed', 'Promotion expired'], 'Alert types');
+            assertEqual(alerts[1].message, 'No call asset serves any more (previously Call: 020 123 4567)', 'Call alert message');
+            store.save(current);
+            assertEqual(findRegressions(results, store.load(), current), [], 'Alerts against an unchanged snapshot');
+        }
+    },
+    {
+        name: 'Price offerings in the report text format',
+        run: () => {
+            // asset.price_asset.price_offerings as AdsApp.report returns it
+            const value = '[{header=Basic, description=Starter plan, price={currency_code=EUR, amount_micros=19000000}, ' +
+                'unit=PER_MONTH, final_url=https://example.com/basic}, {header=Pro, description=For teams, ' +
+                'price={currency_code=USD, amount_micros=49500000}, unit=PER_MONTH, final_url=https://example.com/pro}]';
+
+            assertEqual(parseListValue(value).map(parsePriceOffering), [
+                { header: 'Basic', description: 'Starter plan', currencyCode: 'EUR', amount: 19, unit: 'PER_MONTH', finalUrl: 'https://example.com/basic' },
+                { header: 'Pro', description: 'For teams', currencyCode: 'USD', amount: 49.5, unit: 'PER_MONTH', finalUrl: 'https://example.com/pro' }
+            ], 'Parsed offerings');
+        }
+    }
+];
+
+function runSelfTests() {
+    let failed = 0;
+
+    selfTests.forEach(test => {
+        try {
+            test.run();
+            Logger.log(`✅ ${test.name}`);
+        } catch (e) {
+            failed++;
+            Logger.log(`❌ ${test.name}: ${e.message || e}`);
+        }
+    });
+
+    Logger.log(`${selfTests.length - failed} of ${selfTests.length} self test(s) passed`);
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`${message}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}